@@ -49,7 +49,34 @@ case "${1:-}" in
     ;;
 
   seed)
-    docker compose exec -e NODE_PATH=/usr/src/app/node_modules -e API_BASE="${2:-}" backend node /seed.js
+    shift
+    # Source API credentials from the shell override the ones from .env
+    # that the container started with; unset ones must not blank those out
+    auth_env=()
+    for var in SOURCE_API_TOKEN SOURCE_API_USERNAME SOURCE_API_PASSWORD; do
+      if [[ -n "${!var:-}" ]]; then auth_env+=(-e "$var"); fi
+    done
+    docker compose exec -e NODE_PATH=/usr/src/app/node_modules \
+      -e IMAGE_BASE_URL -e IMAGE_SOURCE_BASE ${auth_env[@]+"${auth_env[@]}"} \
+      backend node /seed.js "$@"
+    ;;
+
+  acl)
+    shift
+    if [[ "${1:-}" != "who-can" && "${1:-}" != "explain" ]] || [[ -z "${3:-}" ]]; then
+      echo "Usage: $0 acl who-can <resource> <permission> | $0 acl explain <userId> <resource>" >&2
+      exit 1
+    fi
+    docker compose exec -e NODE_PATH=/usr/src/app/node_modules backend node /seed.js acl "$@"
+    ;;
+
+  state)
+    shift
+    if [[ "${1:-}" != "export" && "${1:-}" != "import" ]] || [[ -z "${2:-}" ]]; then
+      echo "Usage: $0 state <export|import> <file> [--reset]" >&2
+      exit 1
+    fi
+    docker compose exec -e NODE_PATH=/usr/src/app/node_modules backend node /seed.js state "$@"
     ;;
 
   *)
@@ -65,6 +92,28 @@ Commands:
   logs               Tail logs from all services
   shell <service>    Open a shell in a container (frontend or redstone)
   seed [api_url]     Seed the database from the production API (or a custom URL)
+  seed verify        Audit the seeded state; exits non-zero on problems
+       [--reset | --upsert]      Wipe seeded data first, or update existing rows in place
+       [--dry-run]               Report what would change without writing anything
+       [--auth]                  Log in (SOURCE_API_* env) to also seed non-public events
+       [--remap-ids]             Allocate fresh local IDs (keeps local work, layers sources)
+       [--synthetic --events <n> --seed <n>]  Generate a deterministic dataset instead
+       [--record <file>]         ...and record every response into ./seed-data/<file>
+       [--from-snapshot <file>]  Seed offline from a recorded snapshot
+       [--mirror-images]         Serve header images from ./seed-data/images
+       [--scrub-policy <file> | --no-scrub]  Override or disable PII scrubbing
+       [--personas <file>]       Create the QA accounts declared in ./seed-data/<file>
+       [--anomaly-report <file>] Where to list repaired API inconsistencies
+       [--wait-timeout <s>]      How long preflight waits for Postgres, Redis and tables
+       [--event-ids <ids>] [--tags <slugs>] [--owners <ids>] [--status <list>]
+       [--since <date>] [--until <date>] [--max-events <n>]  Seed only matching events
+  seed redis-only    Rebuild Redis ACL keys and caches from Postgres
+       [--drift | --dry-run]     ...reporting drift first, or only reporting it
+  acl who-can <resource> <permission>  List the users allowed to, with the granting roles
+  acl explain <userId> <resource>      Show a user's permissions on a resource and why
+  state export <file>  Archive the local Postgres + Redis state to ./seed-data/<file>
+  state import <file>  Restore an archive into a fresh stack
+       [--reset]                 Replace the current local state instead of refusing
 EOF
     exit 1
     ;;
@@ -7,26 +7,206 @@
  * at https://api.langchao.org and inserts them into the local
  * PostgreSQL database. Creates an admin account and a pseudo user
  * (with a random pseudonym) for every unique contributor/owner
- * found in the scraped data.
+ * found in the scraped data, and grants contributors their
+ * per-event view/edit/manage roles. Each event's public star (and,
+ * where exposed, subscriber) count becomes that many star/subscription
+ * rows, and the star-count cache is set from those rows. Events and tags
+ * without pinyin or a slug get one generated from their name, offline.
  *
  * Usage:
- *   docker compose exec backend node /seed.js
- *   # or via Makefile:
- *   make seed
- *   make seed API=https://my-other-api.example.com
+ *   ./run.sh seed [api_url] [options]
+ *   ./run.sh seed verify     Audit the current local state and exit non-zero
+ *                            when relational rows, commit snapshots and the
+ *                            Redis/Postgres ACL mirror disagree
+ *   ./run.sh seed redis-only [--drift | --dry-run] [--reset]
+ *                            Rebuild every Redis key the seed writes from
+ *                            the current Postgres state, after reporting how
+ *                            Redis differs (--drift; --dry-run stops there)
+ *   ./run.sh acl who-can <resource> <permission>
+ *   ./run.sh acl explain <userId> <resource>
+ *                            Trace the role chains that grant a permission,
+ *                            flagging Redis/Postgres ACL copies that disagree
+ *   ./run.sh state export <file>
+ *                            Archive every seeded table and all surge- Redis
+ *                            keys, with the schema version, into one file
+ *   ./run.sh state import <file> [--reset]
+ *                            Restore such an archive into an empty (or, with
+ *                            --reset, emptied) stack and reset *_id_seq
+ *   # or directly inside the backend container:
+ *   docker compose exec backend node /seed.js [api_url] [options]
+ *
+ * Options:
+ *   --record <file>          Record every API response into a gzip NDJSON
+ *                            snapshot. Responses already in the file are
+ *                            reused, so an interrupted scrape can be resumed.
+ *   --from-snapshot <file>   Replay a recorded snapshot instead of calling
+ *                            the API (no network access at all).
+ *   --concurrency <n>        Parallel event detail requests (default 4).
+ *   --rate <n>               Max API requests per second (default 4).
+ *   --event-ids <id,…>       Only seed these events (skips the event list).
+ *   --tags <slug,…>          Only events carrying one of these tags.
+ *   --owners <id,…>          Only events owned by these client IDs.
+ *   --status <status,…>      Only events with one of these statuses.
+ *   --since <date>, --until <date>
+ *                            Only events whose updatedAt is in this range.
+ *   --max-events <n>         Stop after n matching events.
+ *                            Tags, header images, owners and the events
+ *                            the selection references are always included.
+ *   --auth                   Log in to the source API with SOURCE_API_TOKEN,
+ *                            or SOURCE_API_USERNAME and SOURCE_API_PASSWORD,
+ *                            and list the events of every status the account
+ *                            can see (pending, hidden, rejected), not only
+ *                            the public admitted ones.
+ *   --follow-depth <n>       Also fetch events reached through parentId and
+ *                            stackEventId, up to n hops from the event list
+ *                            (default 3; 0 disables). References beyond that
+ *                            are set to NULL.
+ *   --anomaly-report <file>  Where to write the repairs made to inconsistent
+ *                            API data (default ./seed-data/anomalies.json).
+ *   --remap-ids              Give every scraped entity a fresh local ID and
+ *                            rewrite all references, so the data can sit
+ *                            next to local rows and other sources. The map
+ *                            is kept in ./seed-data/id-maps/<source>.json.
+ *   --reset                  Empty every table and Redis key family the seed
+ *                            writes before seeding (a clean reseed).
+ *   --upsert                 Update rows that already exist instead of
+ *                            skipping them; local-only rows are kept.
+ *   --mirror-images          Download every header image once into
+ *                            ./seed-data/images (content-addressed, served
+ *                            by the `images` service) and point imageUrl at
+ *                            the local copy; unreachable images become
+ *                            deterministic placeholders.
+ *   --scrub-policy <file>    JSON overriding DEFAULT_SCRUB_POLICY: per entity
+ *                            and field, one of drop/hash/fake/keep.
+ *   --no-scrub               Keep scraped content verbatim (real user names
+ *                            in text included).
+ *   --personas <file>        JSON array of named QA accounts with a password,
+ *                            a role (admin/manager/contributor/user) and
+ *                            per-event view/edit/manage/owner grants.
+ *   --wait-timeout <s>       How long preflight waits for PostgreSQL, Redis
+ *                            and the redstone tables (default 120).
+ *   --dry-run                Scrape (or replay) as usual, then report per
+ *                            table and Redis key family what the seed would
+ *                            insert, skip or change, without writing.
+ *   --synthetic              Generate a deterministic fake dataset instead
+ *                            of scraping:
+ *     --events <n>           number of events (default 500)
+ *     --seed <n|string>      PRNG seed (default 1)
+ *     --synthetic-config <file>
+ *                            JSON overriding SYNTHETIC_DEFAULTS (size
+ *                            distributions, edge-case rates, …)
+ *
+ * Relative snapshot paths are resolved against ./seed-data, which is
+ * mounted into the backend container at /seed-data.
  */
 
-const { Client } = require('pg');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Client, types: pgTypes } = require('pg');
 const Redis = require('ioredis');
 const axios = require('axios');
 const bcrypt = require('bcryptjs');
 
+// ---------------------------------------------------------------------------
+// Command-line arguments
+// ---------------------------------------------------------------------------
+
+// Flags that never take a value, so `--reset https://…` keeps the URL positional
+const BOOLEAN_FLAGS = new Set(['reset', 'upsert', 'synthetic', 'mirrorImages', 'noScrub', 'dryRun', 'remapIds', 'drift', 'auth']);
+
+/**
+ * Minimal argv parser: `--flag value`, `--flag=value` and bare positionals.
+ * Flags are camel-cased (`--from-snapshot` → `fromSnapshot`).
+ */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    const name = (eq > 0 ? arg.slice(2, eq) : arg.slice(2))
+      .replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (eq > 0) {
+      args[name] = arg.slice(eq + 1);
+    } else if (!BOOLEAN_FLAGS.has(name) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+/** `--flag-name` of a camel-cased flag, for error messages. */
+const flagName = (name) => `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+// Bad flag values found so far. Config constants are read at load time,
+// outside main()'s error handling, so they are collected and thrown later
+const argErrors = [];
+
+/** An error in how the seed was called; main() prints it without a stack. */
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+/** Throw every bad flag value collected so far as one usage error. */
+function assertValidArgs() {
+  if (argErrors.length > 0) throw usageError(argErrors.splice(0).join('; '));
+}
+
+/**
+ * A flag that must be a positive number (or zero, with `zero`; a whole
+ * one, with `integer`), or `fallback` when it is absent. A bad value is recorded for
+ * assertValidArgs() and `fallback` returned meanwhile.
+ */
+function positiveArg(name, fallback, { integer = false, zero = false } = {}) {
+  if (args[name] == null) return fallback;
+  if (args[name] === true) {
+    argErrors.push(`${flagName(name)} needs a value`);
+    return fallback;
+  }
+  const value = args[name].trim() !== '' ? Number(args[name]) : NaN;
+  if (!(zero ? value >= 0 : value > 0) || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    const kind = `${zero ? 'non-negative' : 'positive'} ${integer ? 'integer' : 'number'}`;
+    argErrors.push(`${flagName(name)}: "${args[name]}" is not a ${kind}`);
+    return fallback;
+  }
+  return value;
+}
+
 // ---------------------------------------------------------------------------
 // Config
 // ---------------------------------------------------------------------------
 
-const API_BASE = (process.env.API_BASE || 'https://api.langchao.org').replace(/\/+$/, '');
-const MAX_EVENT_PAGES = 10; // safety cap; we expect ~7 pages
+const positionalApiBase = args._.find((a) => /^https?:\/\//.test(a));
+const API_BASE = (positionalApiBase || process.env.API_BASE || 'https://api.langchao.org').replace(/\/+$/, '');
+const MAX_EVENT_PAGES = 1000; // safety cap in case the API ignores ?page=
+const CONCURRENCY = positiveArg('concurrency', 4, { integer: true });
+const RATE_LIMIT = positiveArg('rate', 4); // requests per second
+// How many parentId/stackEventId hops beyond the event list to fetch
+const FOLLOW_DEPTH = positiveArg('followDepth', 3, { integer: true, zero: true });
+const MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const PERMANENT_STATUSES = new Set([401, 403, 404, 410]); // never retried
+const RETRY_AFTER_STATUSES = new Set([429, 503]);
+const SEED_DATA_DIR = process.env.SEED_DATA_DIR || path.join(__dirname, 'seed-data');
+const RESET = !!args.reset;
+const UPSERT = !!args.upsert;
+const MIRROR_IMAGES = !!args.mirrorImages;
+// Where the browser finds ./seed-data/images (the `images` compose service)
+const IMAGE_BASE_URL = (process.env.IMAGE_BASE_URL || 'http://localhost:8088').replace(/\/+$/, '');
+// Base for header image URLs the API returns as relative paths
+const IMAGE_SOURCE_BASE = process.env.IMAGE_SOURCE_BASE || null;
 const PASSWORD = 'surgefm';
 const SALT_ROUNDS = 10;
 
@@ -48,6 +228,20 @@ const redisConfig = {
 const REDIS_PREFIX = process.env.REDIS_PREFIX || 'surge-'; // RedisService cache prefix
 const ACL_PREFIX = 'surge-acl';                            // ACL backend prefix
 
+// Every table the seed writes, children before parents (delete order)
+const SEED_TABLES = [
+  'star', 'subscription', 'commit', 'eventStackNews', 'eventTag', 'headerImage', 'stack',
+  'news', 'event', 'tag', 'acl_users', 'acl_roles', 'client',
+];
+
+// Every Redis key family the seed writes
+const SEED_REDIS_PATTERNS = [
+  `${ACL_PREFIX}*`,
+  `${REDIS_PREFIX}client-name-mem-*`,
+  `${REDIS_PREFIX}event-name-mem-*`,
+  `${REDIS_PREFIX}event-star-count-mem-*`,
+];
+
 // ---------------------------------------------------------------------------
 // Pseudonym generator
 // ---------------------------------------------------------------------------
@@ -73,28 +267,147 @@ const NOUNS = [
   'Star', 'Cliff', 'Glen', 'Heath', 'Bloom',
 ];
 
-function generatePseudonyms(count) {
-  const used = new Set();
-  const result = [];
-  // Deterministic shuffle based on index to keep it reproducible
-  for (let i = 0; i < count; i++) {
-    const adj = ADJECTIVES[i % ADJECTIVES.length];
-    const noun = NOUNS[i % NOUNS.length];
-    let name = `${adj} ${noun}`;
-    // If collision, append a number
-    if (used.has(name)) {
-      name = `${adj} ${NOUNS[(i + 7) % NOUNS.length]}`;
-    }
-    if (used.has(name)) {
-      name = `${ADJECTIVES[(i + 13) % ADJECTIVES.length]} ${noun}`;
-    }
-    if (used.has(name)) {
-      name = `${adj} ${noun} ${i}`;
-    }
-    used.add(name);
-    result.push(name);
+// Stride through the adjective × noun pairs so neighbouring IDs read differently;
+// coprime with the pair count, so every ID below it gets its own pair
+const PSEUDONYM_STRIDE = 617;
+
+/**
+ * The pseudonym of a client ID. It depends on the ID alone, so a client
+ * keeps its name whichever subset of the data is seeded; IDs past the
+ * last pair start over with a round number ("Keen Otter 2").
+ */
+function pseudonymFor(id) {
+  const pairs = ADJECTIVES.length * NOUNS.length;
+  const index = (id * PSEUDONYM_STRIDE) % pairs;
+  const round = Math.floor(id / pairs);
+  const name = `${ADJECTIVES[index % ADJECTIVES.length]} ${NOUNS[Math.floor(index / ADJECTIVES.length)]}`;
+  return round > 0 ? `${name} ${round + 1}` : name;
+}
+
+const ADMIN_CLIENT = { id: 1, username: 'surge', nickname: 'Surge' };
+
+/** Owner and contributor IDs that get a pseudo user, in ID order. */
+function scrapedClientIds(data) {
+  return [...new Set([...data.ownerIds, ...(data.contributorIds || [])])]
+    .sort((a, b) => a - b)
+    .filter((id) => id !== 1);
+}
+
+/** Extra readers needed for the most-starred/subscribed event to get its count. */
+function readerCount(data, userCount) {
+  const mostFollowed = Math.max(0, ...(data.starCounts || new Map()).values(),
+    ...(data.subscriptionCounts || new Map()).values());
+  return Math.max(0, mostFollowed - (userCount + 1)); // the admin follows too
+}
+
+/** Username of the n-th extra reader (1-based). */
+const readerUsername = (data, n) => `reader-${n}${data.usernameSuffix || ''}`;
+
+/**
+ * One pseudo user per scraped owner/contributor ID (the admin, ID 1, is
+ * created separately): [{ id, username, nickname }] in ID order. When an
+ * event has more stars or subscribers than there are users, extra readers
+ * make up the difference once `data.readerIds` is known (see
+ * assignReaderIds); they are flagged `reader` and hold no role.
+ */
+function buildPseudoUsers(data) {
+  const users = scrapedClientIds(data).map((id) => {
+    const pseudonym = pseudonymFor(id);
+    return { id, username: pseudonym.toLowerCase().replace(/\s+/g, '') + (data.usernameSuffix || ''), nickname: pseudonym };
+  });
+  const readerIds = (data.readerIds || []).slice(0, readerCount(data, users.length));
+  return [...users, ...readerIds.map((id, i) => ({
+    id, username: readerUsername(data, i + 1), nickname: `Reader ${i + 1}`, reader: true,
+  }))];
+}
+
+/**
+ * Fill `data.readerIds` unless --remap-ids already mapped them. A reader
+ * keeps the ID of the client holding its username; new readers go above
+ * MAX(client.id) and the sequence, never onto a local or unscraped client.
+ */
+async function assignReaderIds(pg, data) {
+  if (data.readerIds) return;
+  const usernames = Array.from({ length: readerCount(data, scrapedClientIds(data).length) }, (_, i) => readerUsername(data, i + 1));
+  if (usernames.length === 0) {
+    data.readerIds = [];
+    return;
   }
-  return result;
+  const { rows } = await pg.query('SELECT id, username FROM client WHERE username = ANY($1::text[])', [usernames]);
+  const storedIds = new Map(rows.map((r) => [r.username, r.id]));
+  let nextId = Math.max(await idCeiling(pg, 'client'), 1, ...scrapedClientIds(data)) + 1;
+  data.readerIds = usernames.map((username) => storedIds.get(username) || nextId++);
+}
+
+/** The public client object embedded in commit snapshots. */
+const publicClient = (user) => ({ id: user.id, username: user.username, nickname: user.nickname, avatar: null, description: null });
+
+// ---------------------------------------------------------------------------
+// Personas (--personas <file>)
+//
+//   Named local accounts for QA, declared in a JSON array:
+//     [{ "username": "qa-editor", "password": "…", "role": "contributor",
+//        "nickname": "QA Editor", "grants": { "12": "edit", "30": "owner" } }]
+//   Each grant adds the user to event-{id}-{permission}-role, the same role
+//   graph 4b-extra builds for scraped owners and contributors.
+// ---------------------------------------------------------------------------
+
+// Persona role → client.role column and the global ACL group it joins
+const PERSONA_ROLES = {
+  admin: { clientRole: 'admin', aclRole: 'admins' },
+  manager: { clientRole: 'manager', aclRole: 'managers' },
+  contributor: { clientRole: 'contributor', aclRole: 'contributors' },
+  // The column's default, but outside the contributors group
+  user: { clientRole: 'contributor', aclRole: null },
+};
+const PERSONA_GRANTS = new Set(['view', 'edit', 'manage', 'owner']);
+
+function loadPersonas() {
+  if (!args.personas) return [];
+  const file = resolveDataPath(args.personas);
+  const personas = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(personas)) throw new Error(`Personas: ${file} must contain a JSON array`);
+  const usernames = new Set(['surge']);
+  return personas.map((p, i) => {
+    const label = `Personas: entry ${i + 1}${p && p.username ? ` (${p.username})` : ''}`;
+    if (!p || typeof p.username !== 'string' || !/^[\w.-]+$/.test(p.username)) {
+      throw new Error(`${label}: username must be letters, digits, ".", "_" or "-"`);
+    }
+    if (usernames.has(p.username)) throw new Error(`${label}: username is already taken`);
+    usernames.add(p.username);
+    if (typeof p.password !== 'string' || p.password === '') throw new Error(`${label}: password is required`);
+    const role = p.role || 'user';
+    if (!PERSONA_ROLES[role]) throw new Error(`${label}: unknown role "${role}" (expected ${Object.keys(PERSONA_ROLES).join(', ')})`);
+    const grants = Object.entries(p.grants || {}).map(([eventId, permission]) => {
+      if (!/^\d+$/.test(eventId)) throw new Error(`${label}: grant key "${eventId}" is not an event ID`);
+      if (!PERSONA_GRANTS.has(permission)) {
+        throw new Error(`${label}: event ${eventId} has unknown grant "${permission}" (expected ${[...PERSONA_GRANTS].join(', ')})`);
+      }
+      return { eventId: +eventId, permission };
+    });
+    return {
+      username: p.username, password: p.password, role, grants,
+      nickname: p.nickname || p.username, email: p.email || `${p.username}@local`,
+    };
+  });
+}
+
+/** Print every account the seed created, with the password to log in with. */
+function printCredentials(data) {
+  const personaUsers = data.personaUsers || [];
+  const rows = [['surge', PASSWORD, 'admin', '—'], ...personaUsers.map((p) => [
+    p.username, p.password, p.role,
+    p.grants.filter((g) => data.events.has(g.eventId)).map((g) => `${g.permission} ${g.eventId}`).join(', ') || '—',
+  ])];
+  const header = ['username', 'password', 'role', 'event grants'];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+  const line = (cells) => `   ${cells.map((c, i) => c.padEnd(widths[i])).join('  ')}`.trimEnd();
+  console.log(`\n🔑 Local accounts${dryRun ? ' (dry run: not created)' : ''}`);
+  console.log(line(header));
+  console.log(line(widths.map((w) => '-'.repeat(w))));
+  for (const row of rows) console.log(line(row));
+  const pseudoCount = buildPseudoUsers(data).length;
+  if (pseudoCount > 0) console.log(`   …and ${pseudoCount} pseudo users, all with password ${PASSWORD}`);
 }
 
 // ---------------------------------------------------------------------------
@@ -103,715 +416,4735 @@ function generatePseudonyms(count) {
 
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
+function resolveDataPath(file) {
+  return path.isAbsolute(file) ? file : path.join(SEED_DATA_DIR, file);
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Results keep the order of `items`.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Token bucket shared by every live request. `take()` resolves once a
+ * token is available; `pause(ms)` holds all requests back (Retry-After).
+ */
+function createRateLimiter(ratePerSecond, burst = Math.max(1, Math.ceil(ratePerSecond))) {
+  let tokens = burst;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const nowMs = Date.now();
+    tokens = Math.min(burst, tokens + ((nowMs - refilledAt) / 1000) * ratePerSecond);
+    refilledAt = nowMs;
+  };
+
+  return {
+    take() {
+      queue = queue.then(async () => {
+        for (;;) {
+          const paused = pausedUntil - Date.now();
+          if (paused > 0) {
+            await sleep(paused);
+            continue;
+          }
+          refill();
+          if (tokens >= 1) break;
+          await sleep(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        }
+        tokens -= 1;
+      });
+      return queue;
+    },
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+  };
+}
+
+const requestLimiter = createRateLimiter(RATE_LIMIT);
+
+// ---------------------------------------------------------------------------
+// Source API authentication (--auth)
+//
+//   Anonymous requests only see admitted events. With --auth the seed signs
+//   in to the source API first and sends the session on every request, so
+//   the event list can be walked once per status the account may see.
+//   Credentials come from the environment and are never written to a
+//   snapshot; a replay needs no login at all.
+// ---------------------------------------------------------------------------
+
+// Every status an event can have, in the order the lists are walked
+const EVENT_STATUSES = ['admitted', 'pending', 'hidden', 'rejected'];
+// Anonymous lists and details only ever contain admitted events, so that is
+// what a response without a status is taken to be, everywhere
+const EVENT_STATUS_FALLBACK = 'admitted';
+const SOURCE_LOGIN_PATH = '/client/login';
+
+let sourceAuthHeaders = {}; // sent with every API request once logged in
+let authenticatedScrape = false; // set in main(): --auth, or a replayed --auth snapshot
+
+/** The status of a scraped event, with the one fallback used everywhere. */
+function eventStatus(e) {
+  return e.status || EVENT_STATUS_FALLBACK;
+}
+
+/**
+ * Sign in to the source API with SOURCE_API_TOKEN (sent as a bearer
+ * token) or SOURCE_API_USERNAME / SOURCE_API_PASSWORD (posted to the
+ * login endpoint, whose session cookie is kept).
+ */
+async function loginToSource() {
+  const { SOURCE_API_TOKEN: token, SOURCE_API_USERNAME: username, SOURCE_API_PASSWORD: password } = process.env;
+  if (token) {
+    sourceAuthHeaders = { Authorization: `Bearer ${token}` };
+    console.log(`🔑 Using SOURCE_API_TOKEN for ${API_BASE}`);
+    return;
+  }
+  if (!username || !password) {
+    throw new Error('--auth needs SOURCE_API_TOKEN, or SOURCE_API_USERNAME and SOURCE_API_PASSWORD, in the environment');
+  }
+
+  const url = `${API_BASE}${SOURCE_LOGIN_PATH}`;
+  const response = await axios.post(url, { username, password }, { timeout: 15000, validateStatus: () => true });
+  if (response.status >= 400) {
+    const message = response.data && response.data.message;
+    throw new Error(`Login to ${url} as ${username} failed: HTTP ${response.status}${message ? ` (${message})` : ''}`);
+  }
+  const cookies = [].concat(response.headers['set-cookie'] || []).map((c) => c.split(';')[0]);
+  if (cookies.length === 0) throw new Error(`Login to ${url} returned no session cookie`);
+  sourceAuthHeaders = { Cookie: cookies.join('; ') };
+  console.log(`🔑 Logged in to ${API_BASE} as ${username}`);
+}
+
+/** Retry-After is either delta-seconds or an HTTP date. */
+function parseRetryAfter(value) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) return +value * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Exponential backoff with equal jitter: a random wait in [delay/2, delay]. */
+function backoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+function permanentError(url, status) {
+  const err = new Error(`HTTP ${status} for ${url}`);
+  err.status = status;
+  err.permanent = true;
+  return err;
+}
+
 async function fetchJSON(url) {
-  for (let attempt = 1; attempt <= 3; attempt++) {
+  if (httpSnapshot) {
+    const cached = httpSnapshot.get(url);
+    if (cached) {
+      if (cached.status) throw permanentError(url, cached.status);
+      return cached.data;
+    }
+    if (httpSnapshot.mode === 'replay') {
+      throw new Error(`Not in snapshot: ${url}`);
+    }
+  }
+  for (let attempt = 1; ; attempt++) {
+    await requestLimiter.take();
     try {
-      const { data } = await axios.get(url, { timeout: 15000 });
+      const { data } = await axios.get(url, { timeout: 15000, headers: sourceAuthHeaders });
+      if (httpSnapshot) httpSnapshot.put(url, data);
       return data;
     } catch (err) {
-      console.warn(`  ⚠ Attempt ${attempt} failed for ${url}: ${err.message}`);
-      if (attempt < 3) await sleep(2000 * attempt);
-      else throw err;
+      const status = err.response && err.response.status;
+      if (PERMANENT_STATUSES.has(status)) {
+        if (httpSnapshot) httpSnapshot.put(url, null, status);
+        throw permanentError(url, status);
+      }
+      if (attempt >= MAX_ATTEMPTS) throw err;
+
+      let delay = backoffDelay(attempt);
+      if (RETRY_AFTER_STATUSES.has(status)) {
+        const retryAfter = parseRetryAfter(err.response.headers && err.response.headers['retry-after']);
+        if (retryAfter != null) {
+          delay = retryAfter;
+          requestLimiter.pause(retryAfter); // the server is asking everyone to wait
+        }
+      }
+      console.warn(`  ⚠ Attempt ${attempt}/${MAX_ATTEMPTS} failed for ${url}: ${err.message} — retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// HTTP snapshot (record / replay)
+//
+//   File format: gzip-compressed NDJSON. The first line is a header
+//     { type: 'meta', version, source, capturedAt, authenticated }
+//   followed by one line per response
+//     { type: 'response', url, capturedAt, data }
+//   where `url` is relative to the source API base, so a snapshot can be
+//   replayed no matter which API_BASE it was captured from. Permanent
+//   failures (401/403/404/410) are stored with a `status` instead of `data` so a
+//   replay ends pagination and skips missing events the same way.
+//
+//   Recording appends one gzip member per flushed batch; gunzip reads the
+//   concatenated members back as a single stream, and a batch cut short by
+//   a crash only loses its own (truncated) trailing lines.
+// ---------------------------------------------------------------------------
+
+const SNAPSHOT_VERSION = 1;
+const SNAPSHOT_FLUSH_EVERY = 20; // responses buffered before an append
+
+let httpSnapshot = null; // set in main() when --record / --from-snapshot is used
+
+function snapshotKey(url) {
+  return url.startsWith(API_BASE) ? url.slice(API_BASE.length) || '/' : url;
+}
+
+function readSnapshotFile(file) {
+  const compressed = fs.readFileSync(file);
+  let raw;
+  let truncated = false;
+  try {
+    raw = zlib.gunzipSync(compressed);
+  } catch {
+    // A write was cut short: keep everything before the damaged member
+    raw = zlib.gunzipSync(compressed, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    truncated = true;
+  }
+  let meta = null;
+  const entries = new Map();
+  for (const line of raw.toString('utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch {
+      continue; // partial line from an interrupted write
+    }
+    if (record.type === 'meta') {
+      if (!meta) meta = record;
+    } else if (record.type === 'response') {
+      entries.set(record.url, record);
+    }
+  }
+  if (!meta) throw new Error(`${file} is not a seed snapshot (missing header)`);
+  if (meta.version > SNAPSHOT_VERSION) {
+    throw new Error(`${file} uses snapshot format v${meta.version}; this script reads up to v${SNAPSHOT_VERSION}`);
+  }
+  return { meta, entries, truncated };
+}
+
+/**
+ * Open a snapshot for `mode` 'record' (read existing + append new responses)
+ * or 'replay' (read-only, misses are errors).
+ */
+function openSnapshot(file, mode) {
+  const exists = fs.existsSync(file);
+  if (mode === 'replay' && !exists) throw new Error(`Snapshot not found: ${file}`);
+
+  const { meta, entries, truncated } = exists
+    ? readSnapshotFile(file)
+    : { meta: { type: 'meta', version: SNAPSHOT_VERSION, source: API_BASE, capturedAt: new Date().toISOString(), authenticated: !!args.auth }, entries: new Map() };
+  const pending = [];
+
+  if (mode === 'record') {
+    if (!exists) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      pending.push(meta);
+    } else if (truncated) {
+      // Appending after a damaged member would make the rest unreadable,
+      // so rewrite what survived as a fresh file first
+      console.warn(`  ⚠ ${file} was cut short; keeping ${entries.size} intact responses`);
+      const lines = [meta, ...entries.values()].map((r) => JSON.stringify(r)).join('\n') + '\n';
+      fs.writeFileSync(file, zlib.gzipSync(lines));
     }
+    if (exists && meta.source !== API_BASE) {
+      console.warn(`  ⚠ Snapshot was captured from ${meta.source}, now recording from ${API_BASE}`);
+    }
+    if (exists && !!meta.authenticated !== !!args.auth) {
+      console.warn(`  ⚠ Snapshot was captured ${meta.authenticated ? 'with' : 'without'} --auth, now recording ${args.auth ? 'with' : 'without'} it`);
+    }
+  }
+
+  const snapshot = {
+    file,
+    mode,
+    meta,
+    hits: 0,
+    recorded: 0,
+    get size() {
+      return entries.size;
+    },
+    get(url) {
+      const entry = entries.get(snapshotKey(url));
+      if (entry) snapshot.hits++;
+      return entry;
+    },
+    put(url, data, status) {
+      if (mode !== 'record') return;
+      const entry = { type: 'response', url: snapshotKey(url), capturedAt: new Date().toISOString(), data };
+      if (status) entry.status = status;
+      entries.set(entry.url, entry);
+      pending.push(entry);
+      snapshot.recorded++;
+      if (pending.length >= SNAPSHOT_FLUSH_EVERY) snapshot.flush();
+    },
+    flush() {
+      if (pending.length === 0) return;
+      const lines = pending.map((r) => JSON.stringify(r)).join('\n') + '\n';
+      fs.appendFileSync(file, zlib.gzipSync(lines));
+      pending.length = 0;
+    },
+  };
+
+  if (mode === 'record') {
+    // Keep whatever was fetched if the scrape dies or is interrupted
+    process.on('exit', () => snapshot.flush());
+    process.on('SIGINT', () => process.exit(130));
+    process.on('SIGTERM', () => process.exit(143));
   }
+  return snapshot;
 }
 
 // ---------------------------------------------------------------------------
 // Phase 1: Scrape production API
 // ---------------------------------------------------------------------------
 
-async function scrapeAPI() {
+// Per-event roles below owner, broadest last (see the role graph in 4b-extra)
+const EVENT_ROLE_RANK = { view: 1, edit: 2, manage: 3 };
+
+/**
+ * Client ID referenced by a contributor, contribution or role entry. Entries
+ * may be bare IDs, client objects, or records pointing at a client; `id`
+ * only counts when the entry itself is a client.
+ */
+function referencedClientId(entry, isClient) {
+  if (entry == null) return null;
+  if (typeof entry !== 'object') return +entry || null;
+  const nested = entry.client || entry.contributor || entry.author;
+  const id = entry.contributorId ?? entry.clientId ?? entry.authorId ??
+    (nested && nested.id) ?? (isClient ? entry.id : null);
+  return +id || null;
+}
+
+/** Clients an event detail lists as contributors or in contribution records. */
+function listedContributorIds(detail) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  return new Set([
+    ...list(detail.contributors).map((c) => referencedClientId(c, true)),
+    ...list(detail.contribution).map((c) => referencedClientId(c, false)),
+  ].filter(Boolean));
+}
+
+/**
+ * Everyone an event detail names besides its owner, with the role they get:
+ * contributors (and contribution records) edit, `roles.managers/editors/
+ * viewers` (or the same top-level arrays) manage/edit/view.
+ */
+function collectEventRoles(eventId, detail, ownerId) {
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const granted = new Map(); // clientId → role
+  const grant = (clientId, role) => {
+    if (!clientId || clientId === ownerId) return;
+    if (!granted.has(clientId) || EVENT_ROLE_RANK[role] > EVENT_ROLE_RANK[granted.get(clientId)]) {
+      granted.set(clientId, role);
+    }
+  };
+
+  for (const c of list(detail.contributors)) grant(referencedClientId(c, true), 'edit');
+  for (const c of list(detail.contribution)) grant(referencedClientId(c, false), 'edit');
+  const roles = detail.roles || {};
+  for (const [field, role] of [['managers', 'manage'], ['editors', 'edit'], ['viewers', 'view']]) {
+    for (const c of [...list(roles[field]), ...list(detail[field])]) grant(referencedClientId(c, true), role);
+  }
+  return [...granted].map(([clientId, role]) => ({ eventId, clientId, role }));
+}
+
+/** Event IDs named by an event's parentId or a stack's stackEventId. */
+function referencedEventIds(events, stacks) {
+  const ids = new Set();
+  for (const e of events.values()) if (e.parentId) ids.add(+e.parentId);
+  for (const s of stacks.values()) if (s.stackEventId) ids.add(+s.stackEventId);
+  return ids;
+}
+
+/**
+ * Null parentId/stackEventId values that still point at events we do not
+ * have (beyond FOLLOW_DEPTH, or not fetchable), logging each one. Entries
+ * are replaced rather than edited, since the snapshot may still hold them.
+ */
+function clearMissingEventReferences(events, stacks) {
+  const cleared = [];
+  for (const [id, e] of events) {
+    if (e.parentId && !events.has(+e.parentId)) {
+      cleared.push(`event ${id} parentId → ${e.parentId}`);
+      events.set(id, { ...e, parentId: null });
+    }
+  }
+  for (const [id, s] of stacks) {
+    if (s.stackEventId && !events.has(+s.stackEventId)) {
+      cleared.push(`stack ${id} stackEventId → ${s.stackEventId}`);
+      stacks.set(id, { ...s, stackEventId: null });
+    }
+  }
+  if (cleared.length === 0) return;
+  console.log(`\n✂️  Cleared ${cleared.length} reference(s) to events that were not fetched:`);
+  for (const line of cleared) console.log(`   ${line}`);
+}
+
+/** Split a comma-separated flag value; an absent flag gives []. */
+function listArg(value) {
+  if (value == null || value === true) return [];
+  return String(value).split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+/** Event selection from --event-ids, --tags, --owners, --status, --since, --until, --max-events. */
+function loadEventFilters() {
+  const ids = (flag) => listArg(args[flag]).map((v) => {
+    if (!/^\d+$/.test(v)) throw new Error(`${flagName(flag)}: "${v}" is not an ID`);
+    return +v;
+  });
+  const date = (flag) => {
+    if (args[flag] == null) return null;
+    const ms = Date.parse(args[flag]);
+    if (Number.isNaN(ms)) throw new Error(`--${flag}: "${args[flag]}" is not a date`);
+    return ms;
+  };
+  const filters = {
+    ids: ids('eventIds'),
+    tags: listArg(args.tags),
+    owners: ids('owners'),
+    statuses: listArg(args.status),
+    since: date('since'),
+    until: date('until'),
+    maxEvents: positiveArg('maxEvents', Infinity, { integer: true }),
+  };
+  assertValidArgs();
+  filters.active = filters.ids.length > 0 || filters.tags.length > 0 || filters.owners.length > 0 ||
+    filters.statuses.length > 0 || filters.since != null || filters.until != null || filters.maxEvents < Infinity;
+  return filters;
+}
+
+/** Whether a list entry or detail passes every filter except the ID list. */
+function matchesEventFilters(evt, filters) {
+  if (filters.owners.length && !filters.owners.includes(evt.ownerId || 1)) return false;
+  if (filters.statuses.length && !filters.statuses.includes(eventStatus(evt))) return false;
+  if (filters.tags.length && !(evt.tags || []).some((t) => t && (filters.tags.includes(t.slug) || filters.tags.includes(String(t.id))))) {
+    return false;
+  }
+  const updatedAt = Date.parse(evt.updatedAt);
+  if (filters.since != null && !(updatedAt >= filters.since)) return false;
+  if (filters.until != null && !(updatedAt <= filters.until)) return false;
+  return true;
+}
+
+/**
+ * Remember the real username/nickname of every client an event entry or
+ * detail embeds (owner, contributors, contribution records, role lists),
+ * so the scrubber can find them in free text.
+ */
+function collectClientNames(clientNames, entry) {
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.forEach(visit);
+    if (!value || typeof value !== 'object') return;
+    if (value.id && (value.username || value.nickname)) {
+      if (!clientNames.has(+value.id)) clientNames.set(+value.id, new Set());
+      for (const name of [value.username, value.nickname]) if (name) clientNames.get(+value.id).add(String(name));
+    }
+    for (const key of ['client', 'contributor', 'author']) visit(value[key]);
+  };
+  for (const key of ['owner', 'contributors', 'contribution', 'managers', 'editors', 'viewers']) visit(entry[key]);
+  if (entry.roles) for (const key of ['managers', 'editors', 'viewers']) visit(entry.roles[key]);
+}
+
+/**
+ * Record the star and subscriber counts an event entry exposes, either as
+ * a number (starCount, subscriptionCount) or as the list itself.
+ */
+function collectFollowerCounts(eventId, entry, starCounts, subscriptionCounts) {
+  const count = (...values) => {
+    const value = values.find((v) => v != null);
+    if (Array.isArray(value)) return value.length;
+    return Number.isFinite(+value) && +value >= 0 ? Math.floor(+value) : null;
+  };
+  const stars = count(entry.starCount, entry.stars);
+  if (stars != null) starCounts.set(eventId, stars);
+  const subscriptions = count(entry.subscriptionCount, entry.subscribers, entry.subscriptions);
+  if (subscriptions != null) subscriptionCounts.set(eventId, subscriptions);
+}
+
+async function scrapeAPI(filters = loadEventFilters()) {
   const events = new Map();    // id → event object
   const stacks = new Map();    // id → stack object
   const news = new Map();      // id → news object
   const tags = new Map();      // id → tag object
   const headerImages = [];     // { eventId, imageUrl, source, sourceUrl, ... }
-  const eventStackNews = [];   // { eventId, stackId, newsId }
+  const eventStackNews = [];   // { eventId, stackId, newsId }; stackId null for off-shelf news
   const eventTags = [];        // { eventId, tagId }
   const ownerIds = new Set();
+  const contributorIds = new Set();  // everyone with an event role (each gets a pseudo user)
+  const groupContributorIds = new Set(); // the ones listed as contributors (contributors group)
+  const eventRoles = [];       // { eventId, clientId, role: 'view' | 'edit' | 'manage' }
+  const contributions = new Map(); // eventId → contribution records from the detail
+  const clientNames = new Map();   // clientId → Set of real usernames/nicknames (for scrubbing)
+  const starCounts = new Map();    // eventId → public star count
+  const subscriptionCounts = new Map(); // eventId → subscriber count, where the API exposes it
+  const eventTagKeys = new Set();    // `${eventId}:${tagId}` already in eventTags
+  const headerImageIds = new Set();  // headerImage ids already collected
 
   // --- Paginate event list ---------------------------------------------------
-  console.log('📡 Scraping event list...');
-  for (let page = 1; page <= MAX_EVENT_PAGES; page++) {
-    const url = `${API_BASE}/event?page=${page}`;
-    console.log(`  Page ${page}: ${url}`);
-    let response;
-    try {
-      response = await fetchJSON(url);
-    } catch {
-      console.log(`  Page ${page} failed – stopping pagination`);
-      break;
-    }
-    // API returns { eventList: [...] }
-    const list = Array.isArray(response) ? response : (response && response.eventList) || [];
-    if (list.length === 0) {
-      console.log(`  Page ${page} empty – done`);
-      break;
-    }
+  // Only list entries that pass the filters are kept. With --event-ids the
+  // list is skipped and the selected events are fetched directly below.
+  // Anonymous requests get one list of admitted events; an authenticated
+  // scrape walks a separate list per status (only the --status ones, if
+  // given), skipping the statuses the account is not allowed to list.
+  const listedIds = new Set();
+  const listings = !authenticatedScrape ? [null]
+    : EVENT_STATUSES.filter((status) => filters.statuses.length === 0 || filters.statuses.includes(status));
+  if (filters.ids.length > 0) {
+    console.log(`📡 Fetching ${filters.ids.length} selected event(s) directly...`);
+  } else {
+    console.log(authenticatedScrape ? `📡 Scraping event lists (${listings.join(', ')})...` : '📡 Scraping event list...');
+  }
+  for (const status of filters.ids.length === 0 ? listings : []) {
+    const seenIds = new Set();
+    const query = status ? `&where=${encodeURIComponent(JSON.stringify({ status }))}` : '';
+    const label = status ? `${status} page` : 'Page';
+    for (let page = 1; page <= MAX_EVENT_PAGES && events.size < filters.maxEvents; page++) {
+      const url = `${API_BASE}/event?page=${page}${query}`;
+      console.log(`  ${status ? `[${status}] ` : ''}Page ${page}: ${url}`);
+      let response;
+      try {
+        response = await fetchJSON(url);
+      } catch (err) {
+        if (status && (err.status === 401 || err.status === 403)) {
+          console.log(`  No access to ${status} events (${err.status}) – skipped`);
+        } else {
+          console.log(err.permanent
+            ? `  ${label} ${page} not found – done`
+            : `  ${label} ${page} failed – stopping pagination`);
+        }
+        break;
+      }
+      // API returns { eventList: [...] }
+      const list = Array.isArray(response) ? response : (response && response.eventList) || [];
+      if (list.length === 0) {
+        console.log(`  ${label} ${page} empty – done`);
+        break;
+      }
+      // Some backends clamp out-of-range pages to the last one instead of
+      // returning an empty list
+      if (list.every((entry) => !entry || !entry.id || seenIds.has(entry.id))) {
+        console.log(`  ${label} ${page} repeats earlier events – done`);
+        break;
+      }
 
-    for (const evt of list) {
-      if (!evt || !evt.id) continue;
-      events.set(evt.id, evt);
-      if (evt.ownerId) ownerIds.add(evt.ownerId);
+      for (const entry of list) {
+        if (!entry || !entry.id) continue;
+        seenIds.add(entry.id);
+        if (listedIds.has(entry.id)) continue;
+        listedIds.add(entry.id);
+        // An entry without a status has the one of the list it came from
+        const evt = { ...entry, status: entry.status || status || EVENT_STATUS_FALLBACK };
+        if (!matchesEventFilters(evt, filters) || events.size >= filters.maxEvents) continue;
+        events.set(evt.id, evt);
+        if (evt.ownerId) ownerIds.add(evt.ownerId);
+        collectClientNames(clientNames, evt);
+        collectFollowerCounts(evt.id, evt, starCounts, subscriptionCounts);
 
-      // tags from list response
-      if (Array.isArray(evt.tags)) {
-        for (const t of evt.tags) {
-          if (t && t.id) {
-            tags.set(t.id, t);
-            eventTags.push({ eventId: evt.id, tagId: t.id });
+        // tags from list response
+        if (Array.isArray(evt.tags)) {
+          for (const t of evt.tags) {
+            if (t && t.id) {
+              tags.set(t.id, t);
+              if (!eventTagKeys.has(`${evt.id}:${t.id}`)) {
+                eventTagKeys.add(`${evt.id}:${t.id}`);
+                eventTags.push({ eventId: evt.id, tagId: t.id });
+              }
+            }
           }
         }
-      }
 
-      // headerImage from list response
-      if (evt.headerImage && evt.headerImage.imageUrl) {
-        headerImages.push({
-          id: evt.headerImage.id,
-          eventId: evt.id,
-          imageUrl: evt.headerImage.imageUrl,
-          source: evt.headerImage.source || '',
-          sourceUrl: evt.headerImage.sourceUrl || null,
-          createdAt: evt.headerImage.createdAt,
-          updatedAt: evt.headerImage.updatedAt,
-        });
+        // headerImage from list response
+        if (evt.headerImage && evt.headerImage.imageUrl) {
+          headerImageIds.add(evt.headerImage.id);
+          headerImages.push({
+            id: evt.headerImage.id,
+            eventId: evt.id,
+            imageUrl: evt.headerImage.imageUrl,
+            source: evt.headerImage.source || '',
+            sourceUrl: evt.headerImage.sourceUrl || null,
+            createdAt: evt.headerImage.createdAt,
+            updatedAt: evt.headerImage.updatedAt,
+          });
+        }
       }
     }
-    await sleep(300);
+  }
+
+  if (filters.active && filters.ids.length === 0) {
+    console.log(`  Selected ${events.size} of ${listedIds.size} listed events`);
   }
 
   // --- Fetch event details for stacks & news --------------------------------
-  console.log(`\n📦 Fetching details for ${events.size} events...`);
-  let idx = 0;
-  for (const [eventId] of events) {
-    idx++;
-    const url = `${API_BASE}/event/${eventId}`;
-    process.stdout.write(`  [${idx}/${events.size}] Event ${eventId}...`);
-    let detail;
-    try {
-      detail = await fetchJSON(url);
-    } catch {
-      console.log(' SKIP (failed)');
-      continue;
-    }
+  // Requests run in parallel; every finished request prints one complete
+  // line. Details are then merged in list order so the result does not
+  // depend on which response arrived first. Events that are only reachable
+  // through a parentId or stackEventId are fetched the same way afterwards,
+  // one level per round, up to FOLLOW_DEPTH levels away from the list.
+  const details = new Map();
+  const requested = new Set();
+  let round = filters.ids.length > 0 ? filters.ids.slice(0, filters.maxEvents) : [...events.keys()];
+  for (let depth = 0; round.length > 0; depth++) {
+    console.log(depth === 0
+      ? `\n📦 Fetching details for ${round.length} events (${CONCURRENCY} at a time, ≤${RATE_LIMIT} req/s)...`
+      : `\n🔗 Fetching ${round.length} referenced event(s) (depth ${depth}/${FOLLOW_DEPTH})...`);
+    let finished = 0;
+    for (const eventId of round) requested.add(eventId);
+    await mapWithConcurrency(round, CONCURRENCY, async (eventId) => {
+      const url = `${API_BASE}/event/${eventId}`;
+      try {
+        const detail = await fetchJSON(url);
+        details.set(eventId, detail);
+        const stackCount = Array.isArray(detail.stacks) ? detail.stacks.length : 0;
+        console.log(`  [${++finished}/${round.length}] Event ${eventId} ✓ (${stackCount} stacks)`);
+      } catch (err) {
+        console.log(`  [${++finished}/${round.length}] Event ${eventId} SKIP (${err.permanent ? err.status : 'failed'})`);
+      }
+    });
+
+    for (const eventId of round) {
+      const detail = details.get(eventId);
+      if (!detail) continue;
+      // Selected and referenced events never appeared in a list page; the
+      // detail doubles as their list entry. The filters other than the ID
+      // list can only be checked for selected events now
+      if (!events.has(eventId)) {
+        if (depth === 0 && !matchesEventFilters(detail, filters)) {
+          console.log(`  Event ${eventId} does not match the filters – skipped`);
+          continue;
+        }
+        events.set(eventId, { ...detail, status: eventStatus(detail) });
+        if (detail.ownerId) ownerIds.add(detail.ownerId);
+      }
 
-    // Stacks
-    if (Array.isArray(detail.stacks)) {
-      for (const stack of detail.stacks) {
-        if (!stack || !stack.id) continue;
-        stacks.set(stack.id, { ...stack, eventId });
+      // Stacks
+      if (Array.isArray(detail.stacks)) {
+        for (const stack of detail.stacks) {
+          if (!stack || !stack.id) continue;
+          stacks.set(stack.id, { ...stack, eventId });
 
-        // News inside stack
-        if (Array.isArray(stack.news)) {
-          for (const n of stack.news) {
-            if (!n || !n.id) continue;
-            news.set(n.id, n);
-            eventStackNews.push({ eventId, stackId: stack.id, newsId: n.id });
+          // News inside stack
+          if (Array.isArray(stack.news)) {
+            for (const n of stack.news) {
+              if (!n || !n.id) continue;
+              news.set(n.id, n);
+              eventStackNews.push({ eventId, stackId: stack.id, newsId: n.id });
+            }
           }
         }
       }
-    }
 
-    // Off-shelf news
-    if (Array.isArray(detail.offshelfNews)) {
-      for (const n of detail.offshelfNews) {
-        if (!n || !n.id) continue;
-        news.set(n.id, n);
+      // Off-shelf news stays linked to its event without a stack, the way
+      // the backend stores removed and pending news. A stacked copy of the
+      // same news wins (see repairScrapedData()), so it is never overwritten
+      if (Array.isArray(detail.offshelfNews)) {
+        for (const n of detail.offshelfNews) {
+          if (!n || !n.id) continue;
+          if (!news.has(n.id)) news.set(n.id, n);
+          eventStackNews.push({ eventId, stackId: null, newsId: n.id });
+        }
       }
-    }
 
-    // Tags from detail (may have more than list)
-    if (Array.isArray(detail.tags)) {
-      for (const t of detail.tags) {
-        if (t && t.id) {
-          tags.set(t.id, t);
-          // avoid duplicate eventTag
-          if (!eventTags.some((et) => et.eventId === eventId && et.tagId === t.id)) {
-            eventTags.push({ eventId, tagId: t.id });
+      // Tags from detail (may have more than list)
+      if (Array.isArray(detail.tags)) {
+        for (const t of detail.tags) {
+          if (t && t.id) {
+            tags.set(t.id, t);
+            // avoid duplicate eventTag
+            if (!eventTagKeys.has(`${eventId}:${t.id}`)) {
+              eventTagKeys.add(`${eventId}:${t.id}`);
+              eventTags.push({ eventId, tagId: t.id });
+            }
           }
         }
       }
-    }
 
-    // headerImage from detail (may not have been in list)
-    if (detail.headerImage && detail.headerImage.imageUrl) {
-      if (!headerImages.some((h) => h.id === detail.headerImage.id)) {
-        headerImages.push({
-          id: detail.headerImage.id,
-          eventId,
-          imageUrl: detail.headerImage.imageUrl,
-          source: detail.headerImage.source || '',
-          sourceUrl: detail.headerImage.sourceUrl || null,
-          createdAt: detail.headerImage.createdAt,
-          updatedAt: detail.headerImage.updatedAt,
-        });
+      // headerImage from detail (may not have been in list)
+      if (detail.headerImage && detail.headerImage.imageUrl) {
+        if (!headerImageIds.has(detail.headerImage.id)) {
+          headerImageIds.add(detail.headerImage.id);
+          headerImages.push({
+            id: detail.headerImage.id,
+            eventId,
+            imageUrl: detail.headerImage.imageUrl,
+            source: detail.headerImage.source || '',
+            sourceUrl: detail.headerImage.sourceUrl || null,
+            createdAt: detail.headerImage.createdAt,
+            updatedAt: detail.headerImage.updatedAt,
+          });
+        }
+      }
+
+      // Contributors, editors and viewers
+      for (const grant of collectEventRoles(eventId, detail, events.get(eventId).ownerId || 1)) {
+        eventRoles.push(grant);
+        contributorIds.add(grant.clientId);
       }
+      for (const clientId of listedContributorIds(detail)) groupContributorIds.add(clientId);
+      if (Array.isArray(detail.contribution)) contributions.set(eventId, detail.contribution);
+      collectClientNames(clientNames, detail);
+      collectFollowerCounts(eventId, detail, starCounts, subscriptionCounts);
     }
 
-    console.log(` ✓ (${stacks.size} stacks, ${news.size} news so far)`);
-    await sleep(300);
+    if (depth === FOLLOW_DEPTH) break;
+    round = [...referencedEventIds(events, stacks)].filter((id) => !events.has(id) && !requested.has(id));
+  }
+  clearMissingEventReferences(events, stacks);
+
+  // --- Complete the tag graph (parents, redirect targets) --------------------
+  // Whatever stays unresolved is cleared by resolveTagHierarchy() later
+  const unresolvedTags = await fetchMissingTags(tags);
+  if (unresolvedTags.length > 0) {
+    console.log(`  ⚠ ${unresolvedTags.length} referenced tag(s) could not be fetched; these references will be cleared:`);
+    for (const ref of unresolvedTags) console.log(`    tag ${ref.tagId} ${ref.field} → ${ref.id || `"${ref.slug}"`}`);
   }
 
-  console.log(`\n📊 Scraped totals:`);
-  console.log(`   Events: ${events.size}`);
-  console.log(`   Stacks: ${stacks.size}`);
-  console.log(`   News:   ${news.size}`);
-  console.log(`   Tags:   ${tags.size}`);
-  console.log(`   HeaderImages: ${headerImages.length}`);
-  console.log(`   EventStackNews: ${eventStackNews.length}`);
-  console.log(`   EventTags: ${eventTags.length}`);
-  console.log(`   Unique owner IDs: ${[...ownerIds].sort((a, b) => a - b).join(', ')}`);
+  const data = {
+    events, stacks, news, tags, headerImages, eventStackNews, eventTags, ownerIds,
+    contributorIds, groupContributorIds, eventRoles, contributions, clientNames, starCounts, subscriptionCounts,
+  };
+  logTotals('Scraped', data);
+  return data;
+}
 
-  return { events, stacks, news, tags, headerImages, eventStackNews, eventTags, ownerIds };
+function logTotals(label, data) {
+  console.log(`\n📊 ${label} totals:`);
+  console.log(`   Events: ${data.events.size}`);
+  console.log(`   Stacks: ${data.stacks.size}`);
+  console.log(`   News:   ${data.news.size}`);
+  console.log(`   Tags:   ${data.tags.size}`);
+  console.log(`   HeaderImages: ${data.headerImages.length}`);
+  console.log(`   EventStackNews: ${data.eventStackNews.length} (${data.eventStackNews.filter((esn) => esn.stackId == null).length} off-shelf)`);
+  console.log(`   EventTags: ${data.eventTags.length}`);
+  console.log(`   Unique owner IDs: ${[...data.ownerIds].sort((a, b) => a - b).join(', ')}`);
+  console.log(`   Contributors: ${(data.contributorIds || new Set()).size} (${(data.eventRoles || []).length} event role grants)`);
+  const sum = (counts) => [...(counts || new Map()).values()].reduce((a, b) => a + b, 0);
+  console.log(`   Stars: ${sum(data.starCounts)}, subscriptions: ${sum(data.subscriptionCounts)}`);
 }
 
 // ---------------------------------------------------------------------------
-// Phase 2 + 3: Insert into database
+// Tag hierarchy
+//
+//   Events only carry the tags attached to them, so parents and redirect
+//   targets are often missing. fetchMissingTags() walks the references until
+//   the set is closed; resolveTagHierarchy() then drops what could not be
+//   resolved, breaks cycles, recomputes hierarchyPath from the parent chain
+//   and orders the tags so every parent/redirect target is inserted first.
 // ---------------------------------------------------------------------------
 
-async function seedDatabase(data) {
-  const { events, stacks, news, tags, headerImages, eventStackNews, eventTags, ownerIds } = data;
-  const pg = new Client(pgConfig);
-  await pg.connect();
-  console.log('\n🗄️  Connected to PostgreSQL');
+const MAX_TAG_FETCH_ROUNDS = 50;
 
-  try {
-    await pg.query('BEGIN');
+/** Tags a tag points at: [{ field, id, slug }] for its parent, redirect target and path. */
+function tagReferences(t) {
+  const refs = [];
+  const add = (field, id, nested) => {
+    const refId = +(id ?? (nested && nested.id)) || null;
+    const slug = (nested && nested.slug) || null;
+    if (refId || slug) refs.push({ field, id: refId, slug });
+  };
+  add('parentId', t.parentId, t.parent);
+  add('redirectToId', t.redirectToId, t.redirectTo);
+  for (const id of Array.isArray(t.hierarchyPath) ? t.hierarchyPath : []) add('hierarchyPath', id, null);
+  return refs;
+}
 
-    // ------------------------------------------------------------------
-    // 2a. Create admin account (ID 1)
-    // ------------------------------------------------------------------
-    const hashedPw = await bcrypt.hash(PASSWORD, SALT_ROUNDS);
-    const now = new Date().toISOString();
+/** GET /tag/{id}, falling back to /tag/{slug}; resolves to null when neither exists. */
+async function fetchTag({ id, slug }) {
+  for (const ref of [id, slug]) {
+    if (!ref) continue;
+    try {
+      const response = await fetchJSON(`${API_BASE}/tag/${encodeURIComponent(ref)}`);
+      const tag = response && (response.tag || response);
+      if (tag && tag.id) return tag;
+    } catch (err) {
+      // try the next identifier
+    }
+  }
+  return null;
+}
 
-    console.log('\n👤 Creating admin account (surge)...');
-    await pg.query(
-      `INSERT INTO client (id, username, nickname, email, password, role, "emailVerified", settings, "createdAt", "updatedAt")
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       ON CONFLICT (id) DO NOTHING`,
-      [1, 'surge', 'Surge', 'surge@local', hashedPw, 'admin', true, '{}', now, now]
-    );
+/**
+ * Fetch every tag referenced by `tags` but not in it, round by round, until
+ * nothing new turns up. Embedded parent/redirect objects are used as-is.
+ * Returns the references that could not be resolved, with the `tagId` of
+ * the tag holding each.
+ */
+async function fetchMissingTags(tags) {
+  const attempted = new Set();
+  const unresolved = [];
+  for (let round = 1; round <= MAX_TAG_FETCH_ROUNDS; round++) {
+    const missing = new Map(); // id or slug → ref
+    for (const t of tags.values()) {
+      for (const nested of [t.parent, t.redirectTo]) {
+        if (nested && nested.id && nested.name && !tags.has(nested.id)) tags.set(nested.id, nested);
+      }
+      for (const ref of tagReferences(t)) {
+        const known = ref.id ? tags.has(ref.id) : [...tags.values()].some((x) => x.slug === ref.slug);
+        const key = ref.id || ref.slug;
+        if (!known && !attempted.has(key)) missing.set(key, { ...ref, tagId: t.id });
+      }
+    }
+    if (missing.size === 0) break;
 
-    // ------------------------------------------------------------------
-    // 2b. Create pseudo users with pseudonyms for every unique owner ID
-    // ------------------------------------------------------------------
-    const sortedOwnerIds = [...ownerIds].sort((a, b) => a - b).filter((id) => id !== 1);
-    const pseudonyms = generatePseudonyms(sortedOwnerIds.length);
+    console.log(`\n🏷️  Fetching ${missing.size} referenced tag(s) (round ${round})...`);
+    await mapWithConcurrency([...missing], CONCURRENCY, async ([key, ref]) => {
+      attempted.add(key);
+      const tag = await fetchTag(ref);
+      if (tag && !tags.has(tag.id)) {
+        tags.set(tag.id, tag);
+        console.log(`  Tag ${key} ✓ ${tag.name}`);
+      } else if (!tag) {
+        unresolved.push(ref);
+        console.log(`  Tag ${key} SKIP (not found)`);
+      }
+    });
+  }
+  return unresolved;
+}
 
-    console.log(`👥 Creating ${sortedOwnerIds.length} pseudo user(s)...`);
-    for (let i = 0; i < sortedOwnerIds.length; i++) {
-      const oid = sortedOwnerIds[i];
-      const pseudonym = pseudonyms[i];
-      const username = pseudonym.toLowerCase().replace(/\s+/g, '');
-      const nickname = pseudonym;
-      const email = `${username}@local`;
-      await pg.query(
-        `INSERT INTO client (id, username, nickname, email, password, role, "emailVerified", settings, "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-         ON CONFLICT (id) DO NOTHING`,
-        [oid, username, nickname, email, hashedPw, 'contributor', true, '{}', now, now]
-      );
-      console.log(`   ${oid} → ${pseudonym} (@${username})`);
+/**
+ * Validate the tag graph and return `{ tags, problems }`: copies of the
+ * tags in insertion order (parents and redirect targets first) with
+ * dangling references nulled, one edge of every cycle removed and
+ * hierarchyPath recomputed from the parent chain, plus a line for each
+ * change worth reporting.
+ */
+function resolveTagHierarchy(input) {
+  const problems = [];
+  const tags = new Map([...input.values()]
+    .sort((a, b) => a.id - b.id)
+    .map((t) => [t.id, {
+      ...t,
+      parentId: +(t.parentId ?? (t.parent && t.parent.id)) || null,
+      redirectToId: +(t.redirectToId ?? (t.redirectTo && t.redirectTo.id)) || null,
+    }]));
+
+  for (const t of tags.values()) {
+    for (const field of ['parentId', 'redirectToId']) {
+      if (t[field] && !tags.has(t[field])) {
+        problems.push(`tag ${t.id} ${field} → ${t[field]} not found, cleared`);
+        t[field] = null;
+      }
     }
+  }
 
-    // Reset client sequence
-    const allClientIds = [1, ...sortedOwnerIds];
-    const maxClientId = Math.max(...allClientIds);
-    await pg.query(`SELECT setval('client_id_seq', $1, true)`, [maxClientId]);
-    console.log(`   ✓ client_id_seq reset to ${maxClientId}`);
+  // Follow each chain; when it loops back, the lowest ID in the loop loses
+  // its edge so the outcome does not depend on where the walk started
+  for (const field of ['parentId', 'redirectToId']) {
+    for (const start of tags.values()) {
+      const seen = [];
+      for (let t = start; t && t[field]; t = tags.get(t[field])) {
+        const loopAt = seen.indexOf(t.id);
+        if (loopAt !== -1) {
+          const loop = seen.slice(loopAt);
+          const breakAt = tags.get(Math.min(...loop));
+          problems.push(`tag ${field} cycle ${[...loop, t.id].join(' → ')}, cleared on tag ${breakAt.id}`);
+          breakAt[field] = null;
+          break;
+        }
+        seen.push(t.id);
+      }
+    }
+  }
 
-    // ------------------------------------------------------------------
+  // Depth-first so a tag follows its parent and redirect target. A loop can
+  // still mix the two kinds of edge; the edge that closes it is dropped
+  const ordered = new Map();
+  const visiting = new Set();
+  const visit = (t) => {
+    if (!t || ordered.has(t.id)) return;
+    visiting.add(t.id);
+    for (const field of ['parentId', 'redirectToId']) {
+      if (visiting.has(t[field])) {
+        problems.push(`tag ${t.id} ${field} → ${t[field]} loops back through parents/redirects, cleared`);
+        t[field] = null;
+      }
+      visit(tags.get(t[field]));
+    }
+    visiting.delete(t.id);
+    ordered.set(t.id, t);
+  };
+  for (const t of tags.values()) visit(t);
+
+  // Parents come first, so their paths are final by the time a child needs them
+  let recomputed = 0;
+  for (const t of ordered.values()) {
+    const path = t.parentId ? [...ordered.get(t.parentId).hierarchyPath, t.id] : [t.id];
+    const current = Array.isArray(t.hierarchyPath) ? t.hierarchyPath.map(Number) : null;
+    if (current && current.join() !== path.join()) recomputed++;
+    t.hierarchyPath = path;
+  }
+  if (recomputed > 0) problems.push(`${recomputed} tag hierarchyPath value(s) disagreed with the parent chain, recomputed`);
+  return { tags: ordered, problems };
+}
+
+// ---------------------------------------------------------------------------
+// Phase 1 (check): Repair inconsistent API data
+//
+//   The API is not always self-consistent, and the tables would silently
+//   drop or duplicate what does not fit. Each anomaly class has one fixed
+//   resolution, applied in this order:
+//     1. Admitted stacks (order ≥ 0) sharing an `order` within an event:
+//        walking them by (order, id), each stack moves to one past the
+//        previous one if needed; the first keeps its place.
+//     2. News with the same URL under different IDs: the lowest ID is kept,
+//        every placement and latestAdmittedNewsId moves to it.
+//     3. News placed twice in one event (two stacks, or twice in a stack):
+//        it stays in the first stack by (order, id), admitted stacks first,
+//        and leaves the others, since (eventId, newsId) is the eventStackNews
+//        key.
+//     4. Off-shelf news that is also in a stack: the `news` row keeps the
+//        stacked copy. Within one event the off-shelf link is dropped; an
+//        off-shelf link to another event is kept.
+//     5. News linked to no event at all (neither stacked nor off-shelf) is
+//        not inserted.
+//   Every action lands in an anomaly report (--anomaly-report, by default
+//   ./seed-data/anomalies.json) as { entity, id, eventId, problem, action }.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_ANOMALY_REPORT = 'anomalies.json';
+
+/** Apply the resolution rules above to `data` in place; returns the anomaly records. */
+function repairScrapedData(data) {
+  const anomalies = [];
+  const note = (entity, id, eventId, problem, action) => anomalies.push({ entity, id, eventId, problem, action });
+  const stackRank = (a, b) => a.order - b.order || a.id - b.id;
+
+  // 1. Duplicate stack order
+  for (const [eventId, eventStacks] of groupBy(data.stacks.values(), (s) => s.eventId)) {
+    let previous = null;
+    for (const stack of eventStacks.filter((s) => s.order != null && s.order >= 0).sort(stackRank)) {
+      if (previous != null && stack.order <= previous) {
+        const order = previous + 1;
+        note('stack', stack.id, eventId, `order ${stack.order} is also used by another stack of the event`, `moved to order ${order}`);
+        data.stacks.set(stack.id, { ...stack, order });
+        previous = order;
+      } else {
+        previous = stack.order;
+      }
+    }
+  }
+
+  // 2. Duplicate URLs
+  const canonical = new Map(); // duplicate news ID → kept news ID
+  const byUrl = groupBy([...data.news.values()].filter((n) => n.url && n.url.trim()), (n) => n.url.trim());
+  for (const [url, items] of byUrl) {
+    if (items.length < 2) continue;
+    const [kept, ...duplicates] = items.sort((a, b) => a.id - b.id);
+    for (const dup of duplicates) {
+      canonical.set(dup.id, kept.id);
+      data.news.delete(dup.id);
+      note('news', dup.id, null, `same URL as news ${kept.id} (${url})`, `merged into news ${kept.id}`);
+    }
+  }
+  if (canonical.size > 0) {
+    data.eventStackNews = data.eventStackNews.map((esn) => ({ ...esn, newsId: canonical.get(esn.newsId) || esn.newsId }));
+    for (const [id, e] of data.events) {
+      if (canonical.has(e.latestAdmittedNewsId)) data.events.set(id, { ...e, latestAdmittedNewsId: canonical.get(e.latestAdmittedNewsId) });
+    }
+  }
+
+  // 3. News placed twice in one event
+  const placements = groupBy(data.eventStackNews.filter((esn) => esn.stackId != null), (esn) => `${esn.eventId}:${esn.newsId}`);
+  const dropped = new Set();
+  for (const entries of placements.values()) {
+    if (entries.length < 2) continue;
+    // Unordered (not admitted) stacks rank after every admitted one
+    const rankOf = (esn) => {
+      const stack = data.stacks.get(esn.stackId);
+      return { order: stack && stack.order >= 0 ? stack.order : Infinity, id: esn.stackId };
+    };
+    const ranked = entries.slice().sort((a, b) => stackRank(rankOf(a), rankOf(b)));
+    const [kept, ...extra] = ranked;
+    for (const esn of extra) {
+      dropped.add(esn);
+      note('news', esn.newsId, esn.eventId,
+        esn.stackId === kept.stackId ? `listed twice in stack ${esn.stackId}` : `in stacks ${kept.stackId} and ${esn.stackId}`,
+        esn.stackId === kept.stackId ? 'listed once' : `kept in stack ${kept.stackId}, removed from stack ${esn.stackId}`);
+    }
+  }
+  if (dropped.size > 0) data.eventStackNews = data.eventStackNews.filter((esn) => !dropped.has(esn));
+
+  // 4. Off-shelf news that is also stacked
+  const stacked = data.eventStackNews.filter((esn) => esn.stackId != null);
+  const stackedIn = groupBy(stacked, (esn) => esn.newsId);
+  const offshelf = [];
+  const offshelfKeys = new Set();
+  for (const esn of data.eventStackNews.filter((row) => row.stackId == null)) {
+    const key = `${esn.eventId}:${esn.newsId}`;
+    if (offshelfKeys.has(key)) continue;
+    const placed = stackedIn.get(esn.newsId) || [];
+    const sameEvent = placed.find((p) => p.eventId === esn.eventId);
+    const n = data.news.get(esn.newsId);
+    const status = n && n.status ? ` (${n.status})` : '';
+    if (sameEvent) {
+      note('news', esn.newsId, esn.eventId, `off-shelf but also in stack ${sameEvent.stackId}${status}`,
+        'kept the stacked copy, dropped the off-shelf link');
+      continue;
+    }
+    if (placed.length > 0) {
+      note('news', esn.newsId, esn.eventId, `off-shelf here but in stack ${placed[0].stackId} of event ${placed[0].eventId}${status}`,
+        'kept both links; the news row is the stacked copy');
+    }
+    offshelfKeys.add(key);
+    offshelf.push(esn);
+  }
+  data.eventStackNews = [...stacked, ...offshelf];
+
+  // 5. News linked to no event
+  const linked = new Set(data.eventStackNews.map((esn) => esn.newsId));
+  for (const id of [...data.news.keys()]) {
+    if (linked.has(id)) continue;
+    data.news.delete(id);
+    note('news', id, null, 'not linked to any event (no stack, not off-shelf)', 'not inserted');
+  }
+
+  return anomalies;
+}
+
+/**
+ * Print a summary of `anomalies` and write all of them to the report file
+ * (--dry-run only prints).
+ */
+function writeAnomalyReport(anomalies, source) {
+  const file = resolveDataPath(args.anomalyReport || DEFAULT_ANOMALY_REPORT);
+  if (!dryRun) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ generatedAt: new Date().toISOString(), source, anomalies }, null, 2) + '\n');
+  }
+  if (anomalies.length === 0) {
+    console.log('\n✓ No data anomalies found');
+    return;
+  }
+  console.log(`\n🩹 Repaired ${anomalies.length} data anomal${anomalies.length === 1 ? 'y' : 'ies'}` +
+    (dryRun ? ' (dry run: report not written)' : ` (report: ${file})`));
+  for (const a of anomalies.slice(0, 10)) {
+    console.log(`   ${a.entity} ${a.id}${a.eventId ? ` (event ${a.eventId})` : ''}: ${a.problem} → ${a.action}`);
+  }
+  if (anomalies.length > 10) console.log(`   … and ${anomalies.length - 10} more`);
+}
+
+// ---------------------------------------------------------------------------
+// Phase 1 (alternative): Synthetic dataset
+//
+//   Builds the same structure scrapeAPI() returns from a seeded PRNG, so
+//   seedDatabase()/seedRedis() consume it unchanged. Every value, including
+//   timestamps and the password salt, derives from the seed, so the same
+//   seed and options always produce an identical database (with --reset).
+// ---------------------------------------------------------------------------
+
+const SYNTHETIC_DEFAULTS = {
+  events: 500,
+  owners: 40,                 // pseudo users owning events
+  tags: 150,
+  tagDepth: 6,                // deepest tag tree level
+  // Size distributions: min + (max - min + 1) * random^skew (skew > 1 favours small)
+  stacksPerEvent: { min: 1, max: 12, skew: 2 },
+  newsPerStack: { min: 1, max: 6, skew: 2 },
+  tagsPerEvent: { min: 0, max: 4, skew: 1 },
+  editorsPerEvent: { min: 0, max: 3, skew: 2 }, // besides the owner
+  // Shapes production rarely (or never) shows
+  emptyEventRate: 0.05,       // events without any stack
+  hugeEventRate: 0.01,        // events with `hugeEventStacks` stacks
+  hugeEventStacks: 200,
+  subEventRate: 0.1,          // events with a parent event
+  linkedStackRate: 0.02,      // stacks linking to another event
+  headerImageRate: 0.7,
+  longTitleRate: 0.05,        // very long Chinese event names
+  missingAbstractRate: 0.15,
+  starsPerEvent: { min: 0, max: 60, skew: 4 },
+  startDate: '2019-01-01T00:00:00.000Z',
+  spanDays: 1500,
+};
+
+const SYNTHETIC_WORDS = [
+  '香港', '北京', '上海', '台湾', '武汉', '深圳', '新疆', '西藏',
+  '疫情', '选举', '抗议', '地震', '台风', '洪水', '山火', '罢工',
+  '经济', '改革', '法案', '调查', '事故', '贸易', '谈判', '制裁',
+  '教育', '医疗', '环境', '科技', '互联网', '数据', '隐私', '航天',
+  '铁路', '判决', '审判', '外交', '峰会', '疫苗', '房地产', '股市',
+  '人工智能', '芯片', '能源', '气候', '移民', '劳工', '媒体', '言论',
+];
+const SYNTHETIC_SUFFIXES = ['事件', '风波', '进展', '争议', '调查', '始末', '追踪', '全记录'];
+const SYNTHETIC_SOURCES = ['新华社', '路透社', 'BBC 中文', '端传媒', '财新', '美联社', 'The Initium', '澎湃新闻'];
+
+/** mulberry32: small, fast and good enough for test data. */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (p) => next() < p,
+    pick: (list) => list[Math.floor(next() * list.length)],
+    sized: ({ min, max, skew = 1 }) => min + Math.floor((max - min + 1) * next() ** skew),
+  };
+}
+
+/** Numeric seeds are used as-is; anything else is hashed (FNV-1a). */
+function seedFromString(value) {
+  if (/^\d+$/.test(String(value))) return +value;
+  let hash = 0x811c9dc5;
+  for (const ch of String(value)) {
+    hash ^= ch.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * `overrides` laid over `defaults` key by key, nested objects included, so
+ * a config can change one bound of a distribution and keep the others.
+ * Unknown keys and values of another type than the default are rejected.
+ */
+function mergeSyntheticOptions(defaults, overrides, prefix = '') {
+  if (overrides == null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw usageError(`--synthetic-config: ${prefix ? `"${prefix.slice(0, -1)}"` : 'the file'} must be an object`);
+  }
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    const name = `${prefix}${key}`;
+    if (!(key in defaults)) throw usageError(`--synthetic-config: unknown option "${name}"`);
+    const fallback = defaults[key];
+    if (typeof fallback === 'object') {
+      merged[key] = mergeSyntheticOptions(fallback, value, `${name}.`);
+    } else if (typeof value !== typeof fallback || (typeof value === 'number' && !Number.isFinite(value))) {
+      throw usageError(`--synthetic-config: "${name}" must be a ${typeof fallback}, got ${JSON.stringify(value)}`);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+function loadSyntheticOptions() {
+  const options = args.syntheticConfig
+    ? mergeSyntheticOptions(SYNTHETIC_DEFAULTS, JSON.parse(fs.readFileSync(resolveDataPath(args.syntheticConfig), 'utf8')))
+    : { ...SYNTHETIC_DEFAULTS };
+  if (Number.isNaN(Date.parse(options.startDate))) {
+    throw usageError(`--synthetic-config: "startDate" is not a date: ${options.startDate}`);
+  }
+  for (const [name, range] of Object.entries(options)) {
+    if (typeof range !== 'object') continue;
+    if (!Number.isInteger(range.min) || range.min < 0 || !Number.isInteger(range.max)) {
+      throw usageError(`--synthetic-config: "${name}" needs whole, non-negative "min" and "max"`);
+    }
+    if (range.min > range.max) throw usageError(`--synthetic-config: "${name}.min" is above "${name}.max"`);
+    if (!(range.skew > 0)) throw usageError(`--synthetic-config: "${name}.skew" must be above 0`);
+  }
+  options.events = positiveArg('events', options.events, { integer: true });
+  assertValidArgs();
+  if (args.seed === true || (typeof args.seed === 'string' && args.seed.trim() === '')) {
+    throw usageError('--seed: expected a number or a string');
+  }
+  options.seed = seedFromString(args.seed ?? 1);
+  return options;
+}
+
+function generateSyntheticData(options) {
+  const rnd = createRandom(options.seed);
+  const start = Date.parse(options.startDate);
+  const DAY = 86400000;
+  const iso = (ms) => new Date(ms).toISOString();
+  const phrase = (min, max) => Array.from({ length: rnd.int(min, max) }, () => rnd.pick(SYNTHETIC_WORDS)).join('');
+
+  const events = new Map();
+  const stacks = new Map();
+  const news = new Map();
+  const tags = new Map();
+  const headerImages = [];
+  const eventStackNews = [];
+  const eventTags = [];
+  const ownerIds = new Set();
+  const contributorIds = new Set();
+  const groupContributorIds = new Set();
+  const eventRoles = [];
+
+  console.log(`🧪 Generating synthetic dataset (seed ${options.seed}, ${options.events} events)...`);
+
+  // --- Tags: the first `tagDepth` tags form one full-depth chain ------------
+  const tagDepthById = new Map();
+  for (let id = 1; id <= options.tags; id++) {
+    let parent = null;
+    if (id > 1 && id <= options.tagDepth) {
+      parent = tags.get(id - 1);
+    } else if (id > options.tagDepth && rnd.chance(0.7)) {
+      const candidate = tags.get(rnd.int(1, id - 1));
+      if (tagDepthById.get(candidate.id) < options.tagDepth) parent = candidate;
+    }
+    const createdAt = iso(start + rnd.int(0, 30) * DAY);
+    tagDepthById.set(id, parent ? tagDepthById.get(parent.id) + 1 : 1);
+    tags.set(id, {
+      id,
+      name: `${rnd.pick(SYNTHETIC_WORDS)}${id}`,
+      slug: `topic-${id}`,
+      description: rnd.chance(0.5) ? phrase(3, 8) : null,
+      hierarchyPath: parent ? [...parent.hierarchyPath, id] : [id],
+      redirectToId: null,
+      parentId: parent ? parent.id : null,
+      status: 'visible',
+      createdAt,
+      updatedAt: createdAt,
+    });
+  }
+
+  // --- Events, stacks and news ---------------------------------------------
+  let stackId = 0;
+  let newsId = 0;
+  for (let id = 1; id <= options.events; id++) {
+    const createdMs = start + rnd.int(0, options.spanDays) * DAY + rnd.int(0, DAY - 1);
+    const ownerId = rnd.chance(0.05) ? 1 : rnd.int(2, options.owners + 1);
+    ownerIds.add(ownerId);
+
+    let name = `${phrase(1, 3)}${rnd.pick(SYNTHETIC_SUFFIXES)}`;
+    if (rnd.chance(options.longTitleRate)) {
+      while (name.length < 120) name += `：${phrase(2, 4)}`;
+    }
+
+    let stackCount = rnd.sized(options.stacksPerEvent);
+    if (rnd.chance(options.emptyEventRate)) stackCount = 0;
+    else if (rnd.chance(options.hugeEventRate)) stackCount = options.hugeEventStacks;
+
+    let timeMs = createdMs;
+    let latest = null;
+    for (let order = 0; order < stackCount; order++) {
+      timeMs += rnd.int(1, 72) * 3600000;
+      const stack = {
+        id: ++stackId,
+        title: phrase(2, 5),
+        description: rnd.chance(0.6) ? phrase(6, 20) : null,
+        status: 'admitted',
+        order,
+        time: iso(timeMs),
+        eventId: id,
+        stackEventId: id > 1 && rnd.chance(options.linkedStackRate) ? rnd.int(1, id - 1) : null,
+        createdAt: iso(timeMs),
+        updatedAt: iso(timeMs),
+      };
+      stacks.set(stack.id, stack);
+
+      const newsCount = rnd.sized(options.newsPerStack);
+      for (let k = 0; k < newsCount; k++) {
+        const newsMs = timeMs - rnd.int(0, 24) * 3600000;
+        const n = {
+          id: ++newsId,
+          url: `https://synthetic.local/news/${newsId}`,
+          source: rnd.pick(SYNTHETIC_SOURCES),
+          title: phrase(3, 8),
+          abstract: rnd.chance(options.missingAbstractRate) ? null : phrase(10, 40),
+          time: iso(newsMs),
+          status: 'admitted',
+          comment: rnd.chance(0.1) ? phrase(2, 6) : null,
+          createdAt: iso(newsMs),
+          updatedAt: iso(newsMs),
+        };
+        news.set(n.id, n);
+        eventStackNews.push({ eventId: id, stackId: stack.id, newsId: n.id });
+        if (!latest || newsMs >= Date.parse(latest.time)) latest = n;
+      }
+    }
+
+    const eventTagIds = new Set();
+    const tagCount = rnd.sized(options.tagsPerEvent);
+    for (let k = 0; k < tagCount && options.tags > 0; k++) eventTagIds.add(rnd.int(1, options.tags));
+    for (const tagId of eventTagIds) eventTags.push({ eventId: id, tagId });
+
+    const editorIds = new Set();
+    const editorCount = rnd.sized(options.editorsPerEvent);
+    for (let k = 0; k < editorCount; k++) editorIds.add(rnd.int(2, options.owners + 1));
+    editorIds.delete(ownerId);
+    for (const clientId of editorIds) {
+      const role = rnd.chance(0.1) ? 'manage' : rnd.chance(0.1) ? 'view' : 'edit';
+      eventRoles.push({ eventId: id, clientId, role });
+      contributorIds.add(clientId);
+      if (role === 'edit') groupContributorIds.add(clientId);
+    }
+
+    if (rnd.chance(options.headerImageRate)) {
+      headerImages.push({
+        id: headerImages.length + 1,
+        eventId: id,
+        imageUrl: `https://synthetic.local/images/${options.seed}-${id}.jpg`,
+        source: rnd.pick(SYNTHETIC_SOURCES),
+        sourceUrl: null,
+        createdAt: iso(createdMs),
+        updatedAt: iso(createdMs),
+      });
+    }
+
+    events.set(id, {
+      id,
+      name,
+      pinyin: null,
+      description: rnd.chance(0.8) ? phrase(8, 30) : null,
+      status: 'admitted',
+      needContributor: rnd.chance(0.1),
+      ownerId,
+      parentId: id > 1 && rnd.chance(options.subEventRate) ? rnd.int(1, id - 1) : null,
+      latestAdmittedNewsId: latest ? latest.id : null,
+      createdAt: iso(createdMs),
+      updatedAt: iso(Math.max(timeMs, createdMs)),
+    });
+  }
+
+  // bcrypt salt from the PRNG so password hashes are reproducible too
+  const SALT_ALPHABET = './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const salt = `$2a$${String(SALT_ROUNDS).padStart(2, '0')}$` +
+    Array.from({ length: 22 }, () => rnd.pick(SALT_ALPHABET)).join('');
+
+  // Stars use a separate RNG stream so they don't perturb the rest of the
+  // dataset for a given seed
+  const starRnd = createRandom(options.seed ^ 0x5eed);
+  const starCounts = new Map([...events.keys()].map((id) => [id, starRnd.sized(options.starsPerEvent)]));
+
+  const data = {
+    events, stacks, news, tags, headerImages, eventStackNews, eventTags, ownerIds,
+    contributorIds, groupContributorIds, eventRoles, contributions: new Map(), starCounts,
+  };
+  logTotals('Generated', data);
+  return {
+    ...data,
+    now: iso(start + (options.spanDays + 30) * DAY), // stands in for "now" in every row
+    passwordSalt: salt,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Phase 1a: Remap IDs into a shared database (--remap-ids)
+//
+//   Every scraped client (the source's admin included), tag, event, stack,
+//   news and header image gets a local ID above what the database (and its
+//   sequence) already holds, so
+//   seeded rows never land on local work. The mapping is kept per source in
+//   ./seed-data/id-maps/, so reruns reuse the same local IDs and several
+//   API_BASEs can be layered into one database. Everything downstream
+//   (FK columns, commit.data, ACL role names, Redis keys) is built from the
+//   remapped dataset, so it stays consistent without further rewriting.
+// ---------------------------------------------------------------------------
+
+const ID_MAP_DIR = path.join(SEED_DATA_DIR, 'id-maps');
+// Tables whose IDs come from the source, in the order they are allocated
+const REMAPPED_TABLES = ['client', 'tag', 'event', 'stack', 'news', 'headerImage'];
+
+function idMapFile(source) {
+  const slug = source.replace(/^\w+:\/\//, '').replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '');
+  return path.join(ID_MAP_DIR, `${slug || 'default'}.json`);
+}
+
+/**
+ * The stored source → local ID map for `source`: { file, source, tables }
+ * with one Map per table. Mappings whose local row no longer exists (the
+ * database was reset, or an earlier run rolled back) are dropped and get
+ * a fresh ID.
+ */
+async function loadIdMap(pg, source) {
+  const file = idMapFile(source);
+  const stored = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  const tables = {};
+  let stale = 0;
+  for (const table of REMAPPED_TABLES) {
+    const entries = Object.entries((stored.tables || {})[table] || {});
+    const { rows } = await pg.query(
+      `SELECT id FROM ${quoteIdent(table)} WHERE id = ANY($1::int[])`, [entries.map(([, id]) => id)]
+    );
+    const live = new Set(rows.map((r) => r.id));
+    tables[table] = new Map(entries.filter(([, id]) => live.has(id)));
+    stale += entries.length - tables[table].size;
+  }
+  return { file, source, tables, stale };
+}
+
+function saveIdMap(idMap) {
+  fs.mkdirSync(path.dirname(idMap.file), { recursive: true });
+  const tables = Object.fromEntries(Object.entries(idMap.tables).map(([table, map]) => [table, Object.fromEntries(map)]));
+  fs.writeFileSync(idMap.file, JSON.stringify({ source: idMap.source, updatedAt: new Date().toISOString(), tables }, null, 2));
+}
+
+/** Highest ID `table` holds or its sequence has handed out. */
+async function idCeiling(pg, table) {
+  const { rows: [row] } = await pg.query(
+    `SELECT GREATEST(
+       (SELECT COALESCE(MAX(id), 0) FROM ${quoteIdent(table)}),
+       (SELECT CASE WHEN is_called THEN last_value ELSE last_value - 1 END FROM ${quoteIdent(`${table}_id_seq`)})
+     ) AS id`
+  );
+  return +row.id;
+}
+
+/**
+ * Copy of a contribution record with its client and event references
+ * pointing at the local IDs.
+ */
+function remapContribution(entry, clientId, eventId) {
+  if (entry == null) return entry;
+  if (typeof entry !== 'object') return clientId(+entry) ?? entry;
+  const copy = { ...entry };
+  for (const key of ['contributorId', 'clientId', 'authorId']) if (copy[key] != null) copy[key] = clientId(+copy[key]);
+  for (const key of ['client', 'contributor', 'author']) {
+    if (copy[key] && copy[key].id != null) copy[key] = { ...copy[key], id: clientId(+copy[key].id) };
+  }
+  if (copy.eventId != null) copy.eventId = eventId(+copy.eventId);
+  if (copy.id != null && CLIENT_PII_FIELDS.some((f) => f in copy)) copy.id = clientId(+copy.id);
+  return copy;
+}
+
+async function remapDataIds(data, source) {
+  const pg = new Client(pgConfig);
+  await pg.connect();
+  try {
+    const idMap = await loadIdMap(pg, source);
+    console.log(`\n🔀 Remapping IDs from ${source} (${path.relative(SEED_DATA_DIR, idMap.file)})`);
+    if (idMap.stale) console.log(`   ⚠️  ${idMap.stale} stored mapping(s) point at rows that no longer exist; those get new IDs`);
+
+    // Tags already in the database under the same slug are shared, not duplicated
+    const unmappedSlugs = [...data.tags.values()].filter((t) => t.slug && !idMap.tables.tag.has(String(t.id)));
+    if (unmappedSlugs.length > 0) {
+      const { rows } = await pg.query('SELECT id, slug FROM tag WHERE slug = ANY($1::text[])', [unmappedSlugs.map((t) => t.slug)]);
+      const localBySlug = new Map(rows.map((r) => [r.slug, r.id]));
+      for (const t of unmappedSlugs) if (localBySlug.has(t.slug)) idMap.tables.tag.set(String(t.id), localBySlug.get(t.slug));
+    }
+
+    // The source's admin (ID 1) becomes a pseudo user like everyone else, so
+    // layered sources do not share an owner. Readers (see buildPseudoUsers)
+    // are mapped as reader-1, reader-2, …
+    const clientIds = [...new Set([...data.ownerIds, ...(data.contributorIds || [])])].sort((a, b) => a - b);
+    const readerKeys = Array.from({ length: readerCount(data, clientIds.length) }, (_, i) => `reader-${i + 1}`);
+    const sourceIds = {
+      client: [...clientIds, ...readerKeys],
+      tag: [...data.tags.keys()],
+      event: [...data.events.keys()],
+      stack: [...data.stacks.keys()],
+      news: [...data.news.keys()],
+      headerImage: data.headerImages.map((h) => h.id).filter((id) => id != null),
+    };
+    for (const table of REMAPPED_TABLES) {
+      const map = idMap.tables[table];
+      const fresh = [...new Set(sourceIds[table].map(String))].filter((id) => !map.has(id));
+      let next = fresh.length > 0 ? await idCeiling(pg, table) + 1 : 0;
+      for (const id of fresh) map.set(id, next++);
+      console.log(`   ✓ ${table}: ${sourceIds[table].length - fresh.length} reused, ${fresh.length} allocated`);
+    }
+
+    const lookup = (table) => (id) => (id == null ? null : idMap.tables[table].get(String(id)) ?? null);
+    const tagId = lookup('tag');
+    const eventId = lookup('event');
+    const stackId = lookup('stack');
+    const newsId = lookup('news');
+    const headerImageId = lookup('headerImage');
+    const clientId = lookup('client');
+    const remapKeys = (map, key) => new Map([...(map || [])].map(([k, v]) => [key(k), v]).filter(([k]) => k != null));
+
+    data.events = new Map([...data.events.values()].map((e) => {
+      const id = eventId(e.id);
+      return [id, {
+        ...e, id,
+        ownerId: e.ownerId ? clientId(e.ownerId) : e.ownerId,
+        parentId: eventId(e.parentId),
+        latestAdmittedNewsId: newsId(e.latestAdmittedNewsId),
+      }];
+    }));
+    data.stacks = new Map([...data.stacks.values()].map((s) => {
+      const id = stackId(s.id);
+      return [id, { ...s, id, eventId: eventId(s.eventId), stackEventId: eventId(s.stackEventId) }];
+    }));
+    data.news = new Map([...data.news.values()].map((n) => [newsId(n.id), { ...n, id: newsId(n.id) }]));
+    data.tags = new Map([...data.tags.values()].map((t) => {
+      const id = tagId(t.id);
+      return [id, {
+        ...t, id,
+        parentId: tagId(t.parentId),
+        redirectToId: tagId(t.redirectToId),
+        hierarchyPath: Array.isArray(t.hierarchyPath) ? t.hierarchyPath.map(tagId).filter(Boolean) : t.hierarchyPath,
+      }];
+    }));
+    data.headerImages = data.headerImages.map((h) => ({ ...h, id: headerImageId(h.id), eventId: eventId(h.eventId) }));
+    data.eventStackNews = data.eventStackNews.map((esn) => ({
+      ...esn, eventId: eventId(esn.eventId), stackId: stackId(esn.stackId), newsId: newsId(esn.newsId),
+    }));
+    data.eventTags = data.eventTags.map((et) => ({ ...et, eventId: eventId(et.eventId), tagId: tagId(et.tagId) }));
+    data.ownerIds = new Set([...data.ownerIds].map(clientId));
+    data.contributorIds = new Set([...(data.contributorIds || [])].map(clientId));
+    data.groupContributorIds = new Set([...(data.groupContributorIds || [])].map(clientId));
+    data.readerIds = readerKeys.map(lookup('client'));
+    data.eventRoles = (data.eventRoles || []).map((r) => ({ ...r, eventId: eventId(r.eventId), clientId: clientId(r.clientId) }));
+    data.contributions = new Map([...(data.contributions || [])].map(([id, entries]) => [
+      eventId(id), entries.map((entry) => remapContribution(entry, clientId, eventId)),
+    ]));
+    data.clientNames = remapKeys(data.clientNames, clientId);
+    data.starCounts = remapKeys(data.starCounts, eventId);
+    data.subscriptionCounts = remapKeys(data.subscriptionCounts, eventId);
+    // Remapped IDs get the pseudonyms of the local IDs; the suffix keeps them
+    // apart from local accounts that happen to carry such a name
+    data.usernameSuffix = `-${crypto.createHash('sha256').update(source).digest('hex').slice(0, 4)}`;
+    return idMap;
+  } finally {
+    await pg.end();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Phase 1b: Scrub personal data (--scrub-policy, --no-scrub)
+//
+//   Scraped content ends up on laptops and in bug reports, so every field a
+//   policy names is transformed before anything is written:
+//     drop  → null
+//     hash  → stable 16-hex-digit digest (equal inputs stay equal)
+//     fake  → filler text of the same length and script, derived from the
+//             original so reruns produce the same result
+//     keep  → unchanged, except that real user names are swapped for the
+//             pseudonyms seedDatabase() creates
+//   A policy file is merged over DEFAULT_SCRUB_POLICY field by field.
+// ---------------------------------------------------------------------------
+
+const SCRUB_ACTIONS = new Set(['drop', 'hash', 'fake', 'keep']);
+// The free-text columns of each entity a policy may name
+const SCRUB_FIELDS = {
+  event: ['name', 'description'],
+  stack: ['title', 'description'],
+  news: ['url', 'source', 'title', 'abstract', 'comment'],
+  tag: ['name', 'description'],
+  headerImage: ['source', 'sourceUrl'],
+};
+const SCRUB_SALT = process.env.SCRUB_SALT || 'surge-seed';
+
+const DEFAULT_SCRUB_POLICY = {
+  event: { description: 'keep' },
+  stack: { title: 'keep', description: 'keep' },
+  news: { title: 'keep', abstract: 'keep', comment: 'fake' },
+  tag: { description: 'keep' },
+  headerImage: { source: 'fake', sourceUrl: 'drop' },
+};
+
+const FAKE_LATIN_WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor'];
+
+function loadScrubPolicy() {
+  const policy = JSON.parse(JSON.stringify(DEFAULT_SCRUB_POLICY));
+  if (args.scrubPolicy) {
+    const overrides = JSON.parse(fs.readFileSync(resolveDataPath(args.scrubPolicy), 'utf8'));
+    for (const [entity, fields] of Object.entries(overrides)) {
+      if (!policy[entity]) throw new Error(`Scrub policy: unknown entity "${entity}" (expected ${Object.keys(policy).join(', ')})`);
+      for (const field of Object.keys(fields)) {
+        if (!SCRUB_FIELDS[entity].includes(field)) {
+          throw new Error(`Scrub policy: unknown field "${entity}.${field}" (expected ${SCRUB_FIELDS[entity].join(', ')})`);
+        }
+      }
+      Object.assign(policy[entity], fields);
+    }
+  }
+  for (const [entity, fields] of Object.entries(policy)) {
+    for (const [field, action] of Object.entries(fields)) {
+      if (!SCRUB_ACTIONS.has(action)) throw new Error(`Scrub policy: ${entity}.${field} has unknown action "${action}"`);
+    }
+  }
+  return policy;
+}
+
+function hashValue(value) {
+  return crypto.createHash('sha256').update(`${SCRUB_SALT}:${value}`).digest('hex').slice(0, 16);
+}
+
+/** Filler with the same length as `value`: Chinese words for CJK text, lorem ipsum otherwise. */
+function fakeText(value) {
+  const text = String(value);
+  const rnd = createRandom(seedFromString(`${SCRUB_SALT}:${text}`));
+  const cjk = /[\u3400-\u9fff]/.test(text);
+  let out = '';
+  while (out.length < text.length) {
+    out += cjk ? rnd.pick(SYNTHETIC_WORDS) : `${out ? ' ' : ''}${rnd.pick(FAKE_LATIN_WORDS)}`;
+  }
+  return out.slice(0, text.length);
+}
+
+/**
+ * Build a function replacing every real username/nickname in a string by
+ * the matching pseudonym. Longer names go first so "Alice Wong" wins over
+ * "Alice"; names under two characters are left alone.
+ */
+function createNameReplacer(data) {
+  const pseudonymOf = new Map([ADMIN_CLIENT, ...buildPseudoUsers(data)].map((u) => [u.id, u]));
+  const replacements = new Map();
+  for (const [id, names] of data.clientNames || []) {
+    const user = pseudonymOf.get(id);
+    if (!user) continue;
+    for (const name of names) {
+      if (name.length >= 2) replacements.set(name, name === user.username ? user.username : user.nickname);
+    }
+  }
+  if (replacements.size === 0) return (text) => text;
+  const escaped = [...replacements.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(escaped.join('|'), 'g');
+  return (text) => text.replace(pattern, (match) => replacements.get(match));
+}
+
+/**
+ * Apply `policy` to the scraped rows. Rows are replaced by scrubbed copies
+ * (the originals may still back the HTTP snapshot) and a summary of what
+ * changed is printed.
+ */
+function scrubData(data, policy) {
+  const replaceNames = createNameReplacer(data);
+  const summary = [];
+  let namesReplaced = 0;
+
+  const scrubRow = (entity, row) => {
+    const copy = { ...row };
+    for (const [field, action] of Object.entries(policy[entity] || {})) {
+      const value = copy[field];
+      if (value == null || value === '') continue;
+      let next = value;
+      if (action === 'drop') next = null;
+      else if (action === 'hash') next = hashValue(value);
+      else if (action === 'fake') next = fakeText(value);
+      else if (typeof value === 'string') next = replaceNames(value);
+
+      if (next === value) continue;
+      copy[field] = next;
+      if (action === 'keep') namesReplaced++;
+      else summary.find((s) => s.entity === entity && s.field === field).count++;
+    }
+    return copy;
+  };
+
+  for (const [entity, fields] of Object.entries(policy)) {
+    for (const [field, action] of Object.entries(fields)) {
+      if (action !== 'keep') summary.push({ entity, field, action, count: 0 });
+    }
+  }
+  const scrubMap = (entity, map) => new Map([...map].map(([id, row]) => [id, scrubRow(entity, row)]));
+  data.events = scrubMap('event', data.events);
+  data.stacks = scrubMap('stack', data.stacks);
+  data.news = scrubMap('news', data.news);
+  data.tags = scrubMap('tag', data.tags);
+  data.headerImages = data.headerImages.map((h) => scrubRow('headerImage', h));
+
+  console.log('\n🧽 Scrubbed scraped content:');
+  for (const { entity, field, action, count } of summary) {
+    console.log(`   ${`${entity}.${field}`.padEnd(22)} ${action.padEnd(5)} ${count} value(s)`);
+  }
+  console.log(`   user names replaced by pseudonyms in ${namesReplaced} kept value(s)`);
+}
+
+// ---------------------------------------------------------------------------
+// Phase 1c: Header image mirror (--mirror-images)
+//
+//   Downloads every header image once into a content-addressed store
+//   (./seed-data/images/<sha256>.<ext>, served by the `images` service) and
+//   points imageUrl at the local copy. Images that cannot be fetched get a
+//   deterministic SVG placeholder instead. index.json remembers which file
+//   each source URL became, so reruns and snapshot replays need no network.
+// ---------------------------------------------------------------------------
+
+const IMAGE_STORE_DIR = path.join(SEED_DATA_DIR, 'images');
+const IMAGE_INDEX_FILE = path.join(IMAGE_STORE_DIR, 'index.json');
+const IMAGE_MAX_ATTEMPTS = 2;
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif',
+  'image/webp': 'webp', 'image/avif': 'avif', 'image/svg+xml': 'svg',
+};
+
+/** Absolute URL to download, or null for a relative URL with no IMAGE_SOURCE_BASE. */
+function resolveImageSource(imageUrl) {
+  try {
+    return new URL(imageUrl, IMAGE_SOURCE_BASE || undefined).href;
+  } catch (err) {
+    return null;
+  }
+}
+
+function imageExtension(contentType, url) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (IMAGE_EXTENSIONS[type]) return IMAGE_EXTENSIONS[type];
+  const match = /\.(jpe?g|png|gif|webp|avif|svg)$/i.exec(new URL(url).pathname);
+  return match ? match[1].toLowerCase().replace('jpeg', 'jpg') : null;
+}
+
+async function downloadImage(url) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+      const ext = imageExtension(response.headers['content-type'], url);
+      if (!ext) throw new Error(`not an image (${response.headers['content-type'] || 'no content-type'})`);
+      return { buffer: Buffer.from(response.data), ext };
+    } catch (err) {
+      const status = err.response && err.response.status;
+      if (PERMANENT_STATUSES.has(status) || !err.isAxiosError || attempt >= IMAGE_MAX_ATTEMPTS) throw err;
+      await sleep(backoffDelay(attempt));
+    }
+  }
+}
+
+/** Write `buffer` under its content hash (once) and return the file name. */
+function storeImage(buffer, ext) {
+  const name = `${crypto.createHash('sha256').update(buffer).digest('hex')}.${ext}`;
+  const file = path.join(IMAGE_STORE_DIR, name);
+  if (!fs.existsSync(file)) fs.writeFileSync(file, buffer);
+  return name;
+}
+
+/** 1200×630 gradient whose colours and angle derive from the source URL. */
+function placeholderImage(sourceUrl) {
+  const hash = crypto.createHash('sha256').update(String(sourceUrl)).digest();
+  const hue = Math.round((hash[0] / 255) * 360);
+  const angle = hash[1] % 180;
+  return Buffer.from([
+    '<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="630" viewBox="0 0 1200 630">',
+    `<defs><linearGradient id="g" gradientTransform="rotate(${angle} .5 .5)">`,
+    `<stop offset="0" stop-color="hsl(${hue},55%,62%)"/>`,
+    `<stop offset="1" stop-color="hsl(${(hue + 40) % 360},55%,38%)"/>`,
+    '</linearGradient></defs>',
+    '<rect width="1200" height="630" fill="url(#g)"/>',
+    '</svg>',
+  ].join('\n') + '\n');
+}
+
+/**
+ * Mirror data.headerImages and rewrite their imageUrl in place. Sets
+ * data.mirroredImages (original URL → local URL) so seedDatabase() can
+ * also rewrite rows and commit snapshots that already exist.
+ */
+async function mirrorHeaderImages(data) {
+  const index = fs.existsSync(IMAGE_INDEX_FILE) ? JSON.parse(fs.readFileSync(IMAGE_INDEX_FILE, 'utf8')) : {};
+  const offline = Boolean(httpSnapshot && httpSnapshot.mode === 'replay');
+  const sources = [...new Set(data.headerImages.map((h) => h.imageUrl))];
+  // Earlier placeholders are retried whenever the network may be used
+  const pending = sources.filter((url) => !index[url] ||
+    !fs.existsSync(path.join(IMAGE_STORE_DIR, index[url].file)) ||
+    (index[url].placeholder && !offline));
+
+  console.log(`\n🖼️  Mirroring ${sources.length} header images into ${IMAGE_STORE_DIR} (${sources.length - pending.length} already stored)...`);
+  const urlOf = (url) => `${IMAGE_BASE_URL}/${index[url].file}`;
+  if (dryRun) {
+    // Nothing is downloaded; images not stored yet keep their original URL
+    data.mirroredImages = new Map(sources.filter((url) => !pending.includes(url)).map((url) => [url, urlOf(url)]));
+    data.headerImages = data.headerImages.map((h) => ({ ...h, imageUrl: data.mirroredImages.get(h.imageUrl) || h.imageUrl }));
+    console.log(`   ${pending.length} image(s) would be downloaded`);
+    return;
+  }
+
+  fs.mkdirSync(IMAGE_STORE_DIR, { recursive: true });
+  let downloaded = 0;
+  let placeholders = 0;
+  await mapWithConcurrency(pending, CONCURRENCY, async (url) => {
+    const source = resolveImageSource(url);
+    try {
+      if (offline) throw new Error('replaying a snapshot');
+      if (!source) throw new Error('relative URL; set IMAGE_SOURCE_BASE');
+      const { buffer, ext } = await downloadImage(source);
+      index[url] = { file: storeImage(buffer, ext) };
+      downloaded++;
+    } catch (err) {
+      index[url] = { file: storeImage(placeholderImage(url), 'svg'), placeholder: true };
+      placeholders++;
+      const reason = (err.response && err.response.status) || err.code || err.message;
+      console.log(`  ${url} → placeholder (${reason})`);
+    }
+  });
+  fs.writeFileSync(IMAGE_INDEX_FILE, JSON.stringify(Object.fromEntries(Object.entries(index).sort()), null, 2) + '\n');
+
+  data.mirroredImages = new Map(sources.map((url) => [url, urlOf(url)]));
+  data.headerImages = data.headerImages.map((h) => ({ ...h, imageUrl: data.mirroredImages.get(h.imageUrl) }));
+  console.log(`   ✓ ${downloaded} downloaded, ${placeholders} placeholders, served from ${IMAGE_BASE_URL}`);
+}
+
+// ---------------------------------------------------------------------------
+// Pinyin and tag slugs
+//
+//   Events without `pinyin` and tags without `slug` get one built from their
+//   name, offline: Han characters are read from the table below, Latin words
+//   and numbers are kept in lower case, and punctuation only separates words.
+//   Readings are toneless, with ü written as v. Values already in use get a
+//   numeric suffix, handing them out in ID order so reruns agree.
+// ---------------------------------------------------------------------------
+
+/**
+ * Each line is a toneless syllable followed by the characters read that way
+ * by default (GB2312 and Big5 level 1, so simplified and traditional names).
+ */
+const PINYIN_TABLE = `
+a 啊阿嗄锕
+ai 埃挨哎唉哀皑癌蔼矮艾碍爱隘捱嗳嗌嫒瑷暧砹锿霭愛閡皚噯曖璦礙藹靄
+an 鞍氨安俺按暗岸胺案谙埯揞犴庵桉铵鹌黯菴銨諳鵪
+ang 肮昂盎骯
+ao 凹敖熬翱袄傲奥懊澳坳拗嗷岙廒遨媪骜獒聱螯鏊鳌鏖奧媼襖鼇
+ba 芭捌扒叭吧笆八疤巴拔跋靶把耙坝霸罢爸茇菝岜灞钯粑鲅魃罷壩
+bai 白柏百摆佰败拜稗捭掰擘敗擺襬
+ban 斑班搬扳般颁板版扮拌伴瓣半办绊阪坂钣瘢癍舨姅絆鈑頒辦闆
+bang 邦帮梆榜膀绑棒磅蚌镑傍谤蒡浜綁幫謗鎊
+bao 苞胞包褒薄雹保堡饱宝抱报暴豹鲍爆勹葆孢煲鸨褓趵龅報鉋飽鮑寶鑤
+bei 杯碑悲卑北辈背贝钡倍狈备惫焙被孛陂邶蓓呗悖碚鹎褙鐾鞴貝盃狽備揹輩鋇憊
+ben 奔苯本笨畚坌贲锛
+beng 崩绷甭泵蹦迸嘣甏繃
+bi 逼鼻比鄙笔彼碧蓖蔽毕毙毖币庇痹闭敝弊必壁臂避陛匕俾荜荸萆薜吡哔狴庳愎滗濞弼妣婢嬖璧畀铋秕裨筚箅篦舭襞跸髀沘畢閉筆詖賁痺鉍嗶幣箄斃蹕
+bian 鞭边编贬扁便变卞辨辩辫遍匾弁苄忭汴缏煸砭碥窆褊蝙笾鳊釆貶編邊辮辯變
+biao 标彪膘表婊骠杓飑飙飚灬镖镳瘭裱鳔髟標錶鏢驃鰾鑣
+bie 鳖憋别瘪蹩別彆癟鱉
+bin 彬斌濒滨宾摈傧豳缤玢槟殡膑镔髌鬓賓儐濱檳殯臏瀕繽鬢
+bing 兵冰柄丙秉饼炳病并禀冫邴摒並併稟鉼餅
+bo 剥玻菠播拨钵波博勃搏铂箔伯帛舶脖膊渤驳卜亳啵饽檗礴钹鹁簸跛踣剝缽鈸鉑駁撥蔔蘗
+bu 捕哺补埠不布步簿部怖埔卟逋瓿晡钚钸醭佈補鈽誧
+ca 擦嚓礤
+cai 猜裁材才财睬踩采彩菜蔡財採綵纔
+can 餐参蚕残惭惨灿掺孱骖璨粲黪參殘慚慘摻燦蠶
+cang 苍舱仓沧藏伧倉傖滄蒼艙
+cao 操糙槽曹草艹嘈漕螬艚
+ce 厕策侧册测恻冊側廁惻測
+cen 岑涔
+ceng 层蹭曾噌層
+cha 插叉茬茶查碴搽察岔差诧猹馇汊姹杈槎檫锸镲衩詫
+chai 拆柴豺侪钗瘥虿釵儕齜
+chan 搀蝉馋谗缠铲产阐颤冁谄蒇廛忏潺澶羼婵骣觇禅镡蟾躔產剷嬋諂毚禪蟬儳鏟巉懺攙闡纏顫讒饞
+chang 昌猖场尝常偿肠厂敞畅唱倡伥鬯苌菖徜怅惝阊娼嫦昶氅鲳倀悵場萇腸嘗暢廠償嚐鯧
+chao 超抄钞朝嘲潮巢吵炒怊晁焯耖鈔勦
+che 车扯撤掣彻澈坼屮砗車徹
+chen 郴臣辰尘晨忱沉陈趁衬谌谶抻嗔宸琛榇碜龀疢陳塵瞋縝諶櫬襯讖
+cheng 撑称城橙成呈乘程惩澄诚承逞骋秤丞埕枨柽晟塍瞠铖裎蛏酲誠稱撐騁懲
+chi 吃痴持池迟弛驰耻齿侈尺赤翅斥炽傺坻墀茌叱哧啻嗤彳饬媸敕眵鸱瘛褫蚩螭笞篪踟魑呎恥喫飭馳齒熾遲癡
+chong 充冲虫崇宠茺忡憧铳舂艟沖衝蟲寵
+chou 抽酬畴踌稠愁筹仇绸瞅丑臭俦帱惆瘳雠綢裯儔醜疇籌躊
+chu 初出橱厨躇锄雏滁除楚础储矗搐触处畜亍刍怵憷绌杵楮樗褚蜍蹰黜芻絀處廚鋤儲歜礎雛櫥觸齣
+chuai 揣搋啜嘬膪踹
+chuan 川穿椽传船喘串舛遄巛氚钏舡釧傳
+chuang 疮窗幢床闯创怆創愴瘡闖
+chui 吹炊捶锤垂椎陲棰槌箠錘鎚
+chun 春椿醇唇淳纯蠢莼鹑蝽純脣鶉
+chuo 戳绰辶辍踔龊綽輟齪
+ci 疵茨磁雌辞慈瓷词此刺赐次伺茈呲祠鹚糍詞賜辭
+cong 聪葱囱匆从丛苁淙骢琮璁枞囪從樅蔥聰叢
+cou 凑辏腠湊輳
+cu 粗醋簇促蔟徂猝殂酢蹙蹴
+cuan 蹿篡窜汆撺爨镩竄
+cui 摧崔催脆瘁粹淬翠萃啐悴璀榱毳
+cun 村存寸忖皴吋
+cuo 磋撮搓措挫错厝嵯脞锉矬痤鹾蹉銼錯
+da 搭达答瘩打大耷哒嗒怛妲沓褡笪靼鞑達躂韃
+dai 呆歹傣戴带殆代贷袋待逮怠埭甙呔岱迨骀绐玳黛帶貸
+dan 耽担丹单郸掸胆旦氮但惮淡诞弹蛋儋萏啖澹殚赕眈疸瘅聃箪啗單彈憚撢誕擔膽簞
+dang 当挡党荡档谠凼菪宕砀铛裆當儅噹擋蕩檔盪襠黨鐺讜
+dao 刀捣蹈倒岛祷导到稻悼道盗刂叨忉氘焘纛島盜搗導燾禱
+de 德得的地锝
+deng 蹬灯登等瞪凳邓噔嶝戥磴镫簦鄧燈
+di 堤低滴迪敌笛狄涤翟嫡抵底蒂第帝弟递缔氐籴诋谛邸荻嘀娣柢棣觌砥碲睇镝羝骶牴詆隄滌遞敵締諦鏑
+dian 颠掂滇碘点典靛垫电佃甸店惦奠淀殿阽坫巅玷钿癜癫簟踮電墊澱點顛巔癲
+diao 碉叼雕凋刁掉吊钓调铞铫貂鲷弔彫釣調鯛
+die 跌爹碟蝶迭谍叠垤堞揲喋嗲牒瓞耋蹀鲽絰諜疊
+ding 丁盯叮钉顶鼎锭定订仃啶玎腚碇铤疔耵酊訂釘頂錠
+diu 丢铥丟
+dong 东冬董懂动栋侗恫冻洞垌咚岽峒氡胨胴硐鸫東凍動棟湩鼕
+dou 兜抖斗陡豆逗痘都蔸窦蚪篼枓鬥脰竇
+du 督毒犊独读堵睹赌杜镀肚度渡妒芏嘟渎椟牍碡蠹笃髑黩賭獨篤鍍瀆櫝牘犢讀黷
+duan 端短锻段断缎椴煅簖耑緞鍛斷
+dui 堆兑队对怼憝碓镦兌隊對
+dun 墩吨蹲敦顿囤钝盾遁沌炖砘礅盹趸惇鈍頓噸燉躉
+duo 掇哆多夺垛躲朵跺舵剁惰堕咄哚缍柁铎裰踱奪墮綞鐸
+e 蛾峨鹅俄额讹娥恶厄扼遏鄂饿噩谔垩苊莪萼呃愕阏屙婀轭腭锇锷鹗颚鳄堊訛軛惡詻餓鍔額顎鵝鱷
+ei 诶
+en 恩蒽摁
+er 而儿耳尔饵洱二贰佴迩珥铒鸸鲕兒貳爾餌邇
+fa 发罚筏伐乏阀法珐垡砝琺發罰閥髮醱
+fan 藩帆番翻樊矾钒繁凡烦反返范贩犯饭泛蕃蘩幡梵燔畈蹯氾汎販釩飯煩墦範繙礬
+fang 坊芳方肪房防妨仿访纺放匚邡彷枋钫舫鲂倣紡訪
+fei 菲非啡飞肥匪诽吠肺废沸费芾狒悱淝妃绯榧腓斐扉镄痱蜚篚翡霏鲱飛屝費廢誹
+fen 芬酚吩氛分纷坟焚汾粉奋份忿愤粪偾瀵棼鲼鼢紛棻墳憤奮糞
+feng 丰封枫蜂峰锋风疯烽逢冯缝讽奉凤俸酆葑唪沣砜風馮楓瘋鳳鋒諷縫豐
+fou 否缶
+fu 佛夫敷肤孵扶拂辐幅氟符伏俘服浮涪福袱弗甫抚辅俯釜斧腑府腐赴副覆赋复傅付阜父腹负富讣附妇缚咐匐凫阝郛芙苻茯莩菔拊呋呒幞怫滏艴孚驸绂绋桴赙祓砩黻黼罘稃馥蚨蜉蝠蝮麸趺跗鲋鳆伕彿芣訃負婦紼紱復鈇輔撫膚複賦頫駙麩縛輻賻
+ga 噶嘎尬呷尕尜旮钆
+gai 该改概钙盖溉丐陔垓戤赅鈣該賅蓋
+gan 干甘杆柑竿肝赶感秆敢赣坩苷尴擀泔淦澉绀橄旰矸疳酐桿稈幹榦趕尷贛
+gang 冈刚钢缸肛纲岗港杠戆罡筻岡剛崗釭槓綱鋼
+gao 篙皋高膏羔糕搞镐稿告睾诰郜藁缟槔槁杲锆誥縞
+ge 哥歌搁戈鸽胳疙割革葛格阁隔铬个各咯鬲仡哿圪塥嗝纥搿膈硌镉袼虼舸骼個箇閣閤擱鴿
+gei 给給
+gen 根跟亘茛哏艮亙
+geng 耕更庚羹埂耿梗哽赓绠鲠賡
+gong 工攻功恭龚供躬公宫弓巩汞拱贡共廾珙肱蚣觥宮貢鞏龔
+gou 钩勾沟苟狗垢构购够佝诟岣遘媾缑枸觏彀笱篝鞲夠搆溝詬鉤雊構購
+gu 辜菇咕箍估沽孤姑鼓古蛊骨谷股故顾固雇嘏诂菰呱崮汩梏轱牯牿臌毂瞽罟钴锢鸪鹄痼蛄酤觚鲴鹘詁鈷僱穀錮鴣轂顧蠱
+gua 刮瓜剐寡挂褂卦诖栝胍鸹聒掛颳
+guai 乖拐怪掴枴摑
+guan 棺关官冠观管馆罐惯灌贯倌莞掼涫盥鹳鳏貫琯慣館關鰥觀鸛
+guang 光广逛咣犷桄胱洸廣獷
+gui 瑰规圭硅归龟闺轨鬼诡癸桂柜跪贵刽傀炔匦刿庋宄妫桧晷皈簋鲑鳜軌珪規貴詭匱閨劊龜檜鮭櫃歸鱖
+gun 辊滚棍丨衮绲磙鲧袞滾輥鯀
+guo 锅郭国果裹过馘埚呙帼崞猓椁虢蜾蝈國堝過幗槨蟈鍋
+ha 蛤哈铪
+hai 骸孩海氦亥害骇还咳嗨胲醢駭還
+han 酣憨邯韩含涵寒函喊罕翰撼捍旱憾悍焊汗汉邗菡撖阚瀚晗焓顸颔蚶鼾漢銲頷韓
+hang 夯杭航沆绗珩颃
+hao 壕嚎豪毫郝好耗号浩貉蒿薅嗥嚆濠灏昊皓颢蚝號鄗鎬蠔顥
+he 呵喝荷菏核禾和何合盒阂河涸赫褐鹤贺诃劾壑嗬阖曷盍颌蚵翮紇郃訶賀頜闔鶴
+hei 嘿黑
+hen 痕很狠恨
+heng 哼亨横衡恒蘅桁恆橫
+hong 轰哄烘虹鸿洪宏弘红黉訇讧荭蕻薨闳泓紅訌閎鬨鴻轟黌
+hou 喉侯猴吼厚候后堠後逅瘊篌糇鲎骺鱟
+hu 呼乎忽瑚壶葫胡蝴狐糊湖弧虎唬护互沪户冱唿囫岵猢怙惚浒滹琥槲轷觳烀煳戽扈祜瓠鹕鹱虍笏醐斛戶沍壺楛滬鵠鬍護
+hua 花哗华猾滑画划化话骅桦铧畫華話劃嘩樺譁
+huai 槐徊怀淮坏踝壞懷
+huan 欢环桓缓换患唤痪豢焕涣宦幻郇奂萑擐圜獾洹浣漶寰逭缳锾鲩鬟奐喚換渙煥瘓緩澴環鍰歡
+huang 荒慌黄磺蝗簧皇凰惶煌晃幌恍谎隍徨湟潢遑璜肓癀蟥篁鳇黃謊韹
+hui 灰挥辉徽恢蛔回毁悔慧卉惠晦贿秽会烩汇讳诲绘诙茴荟蕙咴哕喙隳洄浍彗缋珲晖恚虺蟪麾迴揮匯彙暉會毀詼賄誨輝諱燬燴穢繪
+hun 荤昏婚魂浑混诨馄阍溷梡渾琿葷餛
+huo 豁活伙火获或惑霍货祸劐藿攉嚯夥砉钬锪镬耠蠖貨禍濩獲穫
+ji 击圾基机畸稽积箕肌饥迹激讥鸡姬绩缉吉极棘辑籍集及急疾汲即嫉级挤几脊己蓟技冀季伎祭剂悸济寄寂计记既忌际妓继纪藉丌亟乩剞佶偈诘墼芨芰荠蒺蕺掎叽咭哜唧岌嵴洎彐屐骥畿玑楫殛戟戢赍觊犄齑矶羁嵇稷瘠虮笈笄暨跻跽霁鲚鲫髻麂伋紀計級記飢幾勣極跡際嘰緝劑機璣積輯擊擠濟磯績薊覬薺蹟雞譏繼饑躋霽羈驥
+jia 嘉枷夹佳家加荚颊贾甲钾假稼价架驾嫁茄伽郏葭岬浃迦珈戛胛恝铗镓痂瘕蛱笳袈跏夾浹莢傢賈鉀價駕豭頰
+jian 歼监坚尖笺间煎兼肩艰奸缄茧检柬碱硷拣捡简俭剪减荐鉴践贱见键箭件健舰剑饯渐溅涧建僭谏谫菅蒹搛囝湔蹇謇缣枧楗戋戬牮犍毽腱睑锏鹣裥笕翦趼踺鲣鞯見姦堅揀減間筧漸監箋儉劍澗緘賤踐撿縑諫餞檢艱鍵濺瞼簡薦繭艦殲鑑鑒鹼韉
+jiang 僵姜将浆江疆蒋桨奖讲匠酱降茳洚绛缰犟礓耩糨豇將絳槳漿獎蔣彊薑講醬韁
+jiao 蕉椒礁焦胶交郊浇骄娇搅铰矫侥脚狡角饺缴绞剿教酵轿较叫窖佼僬艽茭挢噍峤徼湫姣敫皎鹪蛟醮跤鲛絞腳較僥鉸餃嬌澆膠矯鮫繳轎驕攪
+jie 揭接皆秸街阶截劫节杰捷睫竭洁结解姐戒芥界借介疥诫届讦卩拮喈嗟婕孑桀碣疖颉蚧羯鲒骱屆訐傑結階節詰誡潔
+jin 巾筋斤金今津襟紧锦仅谨进靳晋禁近烬浸尽劲卺荩堇噤馑廑妗缙瑾槿赆觐钅衿矜勁觔晉進僅盡緊儘縉錦燼覲謹饉
+jing 荆兢茎睛晶鲸京惊精粳经井警景颈静境敬镜径痉靖竟竞净刭儆阱菁獍憬泾迳弪婧肼胫腈旌靓徑涇荊淨莖逕痙經璟靜頸鏡鯨競驚
+jiong 炯窘冂迥炅扃
+jiu 揪究纠玖韭久灸九酒厩救旧臼舅咎就疚僦啾阄柩桕鸠鹫赳鬏糾廄鳩舊
+ju 桔鞠拘狙疽居驹菊局咀矩举沮聚拒据巨具距踞锯俱句惧炬剧倨讵苣苴莒菹掬遽屦琚椐榘榉橘犋飓钜锔窭裾趄醵踽龃雎鞫侷砠鉅跼劇駒據鋸屨舉颶齟懼
+juan 捐鹃娟倦眷卷绢鄄狷涓桊蠲锩镌隽捲絹雋鵑鐫
+jue 嚼撅攫抉掘倔爵觉决诀绝厥劂谲矍蕨噘噱崛獗孓珏桷橛爝镢蹶觖決玨訣絕鴃譎覺觼
+jun 均菌钧军君峻俊竣浚郡骏捃皲麇軍鈞濬駿
+ka 喀咖卡佧咔胩
+kai 开揩楷凯慨剀垲蒈忾恺铠锎锴凱剴愒開愾愷
+kan 槛刊堪勘坎砍看侃莰戡龛瞰崁檻
+kang 康慷糠扛抗亢炕伉闶钪
+kao 考拷烤靠尻栲犒铐銬
+ke 坷苛柯棵磕颗科壳可渴克刻客课嗑岢恪溘骒缂珂轲氪瞌钶锞稞疴窠颏蝌髁殼軻緙課顆
+kei 剋
+ken 肯啃垦恳裉龈墾懇齦
+keng 坑吭铿阬鏗
+kong 空恐孔控倥崆箜硿
+kou 抠口扣寇芤蔻叩眍筘釦
+ku 枯哭窟苦酷库裤刳堀喾绔骷庫褲
+kua 夸垮挎跨胯侉誇
+kuai 块筷侩快蒯郐哙狯脍塊儈膾
+kuan 宽款髋寬髖
+kuang 匡筐狂框矿眶旷况诓诳邝圹夼哐纩贶劻況誑壙曠礦
+kui 亏盔岿窥葵奎魁馈愧溃馗匮夔隗蒉揆喹喟悝愦逵暌睽聩蝰篑跬潰窺虧簣餽
+kun 坤昆捆困悃阃琨锟醌鲲髡崑梱焜睏綑錕
+kuo 括扩廓阔蛞闊擴
+la 垃拉喇蜡腊辣啦剌邋旯砬瘌臘蠟
+lai 莱来赖崃徕涞濑赉睐铼癞籁來徠萊睞賴瀨癩籟
+lan 蓝婪栏拦篮阑兰澜谰揽览懒缆烂滥岚漤榄斓罱镧褴嵐濫闌藍懶攔瀾籃襤斕欄爛蘭覽籣攬欖纜
+lang 琅榔狼廊郎朗浪莨蒗啷阆锒稂螂瑯
+lao 捞劳牢老佬姥酪烙涝潦唠崂栳铑铹痨耢醪勞嘮撈癆
+le 乐肋了仂叻泐鳓樂
+lei 勒雷镭蕾磊累儡垒擂类泪羸诔嘞嫘缧檑耒酹淚縲壘類鐳
+leng 棱楞冷塄愣稜
+li 厘梨犁黎篱狸离漓理李里鲤礼莉荔吏栗丽厉励砾历利傈例俐痢立粒沥隶力璃哩俪俚郦坜苈莅蓠藜呖唳喱猁溧澧逦娌嫠骊缡枥栎轹戾砺詈罹锂鹂疠疬蛎蜊蠡笠篥粝醴跞雳鲡鳢黧浬琍慄裡蒞貍厲鋰曆歷勵隸癘禮鎘離鯉壢瀝麗礪礫儷蠣酈欐邐靂籬驪
+lia 俩倆
+lian 联莲连镰廉怜涟帘敛脸链恋炼练蔹奁潋濂琏楝殓臁裢裣蠊鲢連煉奩漣憐練蓮斂殮聯臉鍊簾鏈瀲鐮鰱戀
+liang 粮凉梁粱良两辆量晾亮谅墚椋踉魉兩涼樑諒輛糧魎
+liao 撩聊僚疗燎寥辽撂镣廖料蓼尥嘹獠寮缭钌鹩暸遼療瞭繚
+lie 列裂烈劣猎冽埒捩咧洌趔躐鬣獵
+lin 琳林磷霖临邻鳞淋凛赁吝拎蔺啉嶙廪懔遴檩辚膦瞵粼躏麟痳賃凜鄰懍燐璘臨轔藺鱗躪
+ling 玲菱零龄铃伶羚凌灵陵岭领另令酃苓呤囹泠绫柃棂瓴聆蛉翎鲮昤鈴綾領蔆鴒嶺齡櫺靈
+liu 溜琉榴硫馏留刘瘤流柳六浏遛骝绺旒熘锍镏鹨鎏鉚劉瀏霤餾
+long 龙聋咙笼窿隆垄拢陇垅茏泷珑栊胧砻癃龍壟攏隴嚨朧瓏矓籠聾
+lou 楼娄搂篓漏陋偻蒌喽嵝镂瘘耧蝼髅婁嘍摟樓瘺簍螻鏤髏
+lu 芦卢颅庐炉掳卤虏鲁麓碌露路赂鹿潞禄录陆戮垆撸噜泸渌漉逯璐栌橹轳辂辘氇胪镥鸬鹭簏舻鲈陸鹵僇祿虜賂滷魯擄盧穋錄嚕廬櫓瀘爐臚蘆鑪鷺顱鱸
+luan 峦挛孪滦卵乱脔娈栾鸾銮亂孿巒攣灤鑾鸞
+lun 抡轮伦仑沦纶论囵侖倫崙掄淪綸論輪
+luo 萝螺罗逻锣箩骡裸落洛骆络倮蠃荦摞猡泺漯珞椤脶镙瘰雒絡犖鉻駱羅鏍儸騾囉玀蘿邏籮鑼
+lv 驴吕铝侣旅履屡缕虑氯律率滤绿捋闾榈膂稆褛呂侶屢綠慮鋁閭縷褸濾櫚驢
+lve 掠略锊
+ma 妈麻玛码蚂马骂嘛吗唛犸嬷杩蟆馬嗎媽痲瑪碼罵螞嬤
+mai 埋买麦卖迈脉劢荬霾脈麥買賣邁
+man 瞒馒蛮满蔓曼慢漫谩墁幔缦熳镘颟螨蹒鳗鞔屘滿瞞縵鏝饅鰻蠻
+mang 芒茫盲氓忙莽邙漭硭蟒杗
+mao 猫茅锚毛矛铆卯茂冒帽貌贸袤茆峁泖瑁昴牦耄旄懋瞀蝥蟊髦貿犛貓錨
+me 么麼
+mei 玫枚梅酶霉煤没眉媒镁每美昧寐妹媚莓嵋猸浼湄楣镅鹛袂魅沒沬鎂黴
+men 门闷们扪焖懑钔門們捫悶燜懣
+meng 萌蒙檬盟锰猛梦孟勐甍瞢懵朦礞虻蜢蠓艋艨夢錳濛矇
+mi 眯醚靡糜迷谜弥米秘觅泌蜜密幂芈冖谧蘼咪嘧猕汨宓弭脒祢敉糸縻麋羋祕覓瞇冪彌謎謐瀰
+mian 棉眠绵冕免勉娩缅面沔渑湎宀腼眄黾偭綿緬澠麵
+miao 苗描瞄藐秒渺庙妙喵邈缈杪淼眇鹋廟緲
+mie 蔑灭乜咩蠛篾滅
+min 民抿皿敏悯闽苠岷闵泯缗珉愍鳘湣閔閩憫
+ming 明螟鸣铭名命冥茗溟暝瞑酩銘鳴
+miu 谬謬
+mo 摸摹蘑模膜磨摩魔抹末莫墨默沫漠寞陌谟茉蓦馍嫫殁镆秣瘼耱貊貘麽歿糢謨驀
+mou 谋牟某侔哞缪眸蛑鍪謀繆
+mu 拇牡亩姆母墓暮幕募慕木目睦牧穆仫坶苜沐毪钼畝
+n 嗯
+na 拿哪呐钠那娜纳捺肭镎衲吶納鈉
+nai 氖乃奶耐奈鼐艿萘柰妳迺
+nan 南男难喃囡楠腩蝻赧難
+nang 囊攮囔馕曩
+nao 挠脑恼闹淖孬垴呶猱瑙硇铙蛲惱腦撓鬧蟯鐃
+ne 呢讷疒訥
+nei 馁内內餒
+nen 嫩恁
+neng 能
+ni 妮霓倪泥尼拟你匿腻逆溺伲坭猊怩昵旎睨铌鲵暱膩擬
+nian 蔫拈年碾撵捻念辗廿埝辇黏鲇鲶涊唸撚輦攆
+niang 娘酿孃釀
+niao 鸟尿茑嬲脲袅鳥裊嬝
+nie 捏聂孽啮镊镍涅陧蘖嗫颞臬蹑聶鎳囁齧躡鑷
+nin 您
+ning 柠狞凝宁拧泞佞咛甯聍苧寧嚀擰濘獰檸
+niu 牛扭钮纽狃忸妞紐鈕
+nong 脓浓农弄侬哝農儂噥濃膿穠
+nou 耨
+nu 奴努怒弩胬孥驽駑
+nuan 暖煖
+nuo 挪懦糯诺傩搦喏锘諾
+nv 女恧钕衄
+nve 虐疟瘧
+o 哦喔噢
+ou 欧鸥殴藕呕偶沤讴怄瓯耦嘔歐毆甌鷗
+pa 啪趴爬帕怕琶葩杷筢
+pai 拍排牌徘湃派俳蒎哌
+pan 攀潘盘磐盼畔判叛拚爿泮袢襻蟠槃盤蹣
+pang 乓庞旁耪胖滂逄螃徬龐
+pao 抛咆刨炮袍跑泡匏狍庖脬疱拋皰砲
+pei 呸胚培裴赔陪配佩沛辔帔旆锫醅霈珮賠轡
+pen 喷盆湓噴
+peng 砰抨烹澎彭蓬棚硼篷膨朋鹏捧碰堋嘭怦蟛踫鵬
+pi 辟坯砒霹批披劈琵毗啤脾疲皮匹痞僻屁譬丕仳陴邳郫圮埤鼙芘擗噼庀淠媲纰枇甓睥罴铍癖疋蚍蜱貔紕鈹闢
+pian 篇偏片骗谝骈犏胼翩蹁駢騙
+piao 飘漂瓢票剽嘌嫖缥殍瞟螵縹飄
+pie 撇瞥丿苤氕
+pin 拼频贫品聘姘嫔榀牝颦貧頻嬪顰
+ping 乒坪苹萍平凭瓶评屏俜娉枰鲆評憑蘋
+po 泊坡泼颇婆破魄迫粕叵鄱珀钋钷皤笸釙頗潑
+pou 剖裒掊
+pu 脯扑铺仆莆葡菩蒲朴圃普浦谱曝瀑匍噗溥濮璞攴氆攵镤镨蹼僕撲鋪樸譜
+qi 期欺栖戚妻七凄漆柒沏其棋奇歧畦崎脐齐旗祈祁骑起岂乞企启契砌器气迄弃汽泣讫亓俟圻芑芪萁萋葺蕲嘁屺岐汔淇骐绮琪琦杞桤槭耆祺憩碛颀蛴蜞綦綮蹊鳍麒祇氣訖豈悽啟棄淒棲綺齊慼磧錡臍騎鰭
+qia 掐恰洽葜袷髂
+qian 牵扦钎铅千迁签仟谦乾黔钱钳前潜遣浅谴堑嵌欠歉倩佥阡凵芊芡茜掮岍悭慊骞搴褰缱椠肷愆钤虔箝淺牽鈐鉗鉛塹潛遷錢縴謙簽騫譴籤韆
+qiang 枪呛腔羌墙蔷强抢丬戕嫱樯戗炝锖锵镪襁蜣羟跄強嗆搶槍檣牆繈薔鎗鏘
+qiao 橇锹敲悄桥瞧乔侨巧鞘撬翘峭俏窍劁诮谯荞愀憔缲樵硗跷鞒喬僑誚橋鍬竅翹譙蹺
+qie 切且怯窃郄惬妾挈锲箧愜鍥竊
+qin 钦侵亲秦琴勤芹擒禽寝沁芩揿吣嗪噙溱檎锓螓衾欽寢嶔撳親
+qing 青轻氢倾卿清擎晴氰情顷请庆苘圊檠磬蜻罄箐謦鲭黥氫頃傾輕慶請
+qiong 琼穷邛芎茕穹蛩筇跫銎窮瓊
+qiu 秋丘邱球求囚酋泅俅巯犰逑遒楸赇虬蚯蝤裘糗鳅鼽梂毬鞦鰍
+qu 趋区蛆曲躯屈驱渠取娶龋趣去诎劬蕖蘧岖衢阒璩觑氍朐祛磲鸲癯蛐蠼麴瞿黢區嶇趨軀驅齲
+quan 圈颧权醛泉全痊拳犬券劝诠荃犭悛绻辁畎铨蜷筌鬈佺詮銓踡勸權
+que 缺瘸却鹊榷确雀阕阙悫卻確闋闕鵲
+qun 裙群逡
+ran 然燃冉染苒蚺髯
+rang 瓤壤攘嚷让禳穰讓
+rao 饶扰绕荛娆桡嬈橈擾繞饒
+re 惹热熱
+ren 壬仁人忍韧任认刃妊纫亻仞荏葚饪轫稔衽紉軔韌飪認
+reng 扔仍
+ri 日
+rong 戎茸蓉荣融熔溶容绒冗嵘狨榕肜蝾絨榮嶸鎔
+rou 揉柔肉糅蹂鞣
+ru 茹蠕儒孺如辱乳汝入褥蓐薷嚅洳溽濡缛铷襦颥燸
+ruan 软阮朊軟
+rui 蕊瑞锐芮蕤枘睿蚋銳
+run 闰润閏潤
+ruo 若弱偌箬篛鶸
+sa 撒洒萨卅仨挲脎飒颯薩灑
+sai 腮鳃塞赛噻賽鰓
+san 三叁伞散馓毵糁傘糝
+sang 桑嗓丧搡磉颡喪
+sao 搔骚扫嫂埽缫臊瘙鳋掃繅騷
+se 瑟色涩啬铯穑嗇澀穡
+sen 森
+seng 僧
+sha 莎砂杀刹沙纱傻啥煞厦唼歃铩痧裟霎鲨剎紗殺廈鯊
+shai 筛晒酾篩曬
+shan 珊苫杉山删煽衫闪陕擅赡膳善汕扇缮剡讪鄯埏芟彡潸姗嬗骟膻钐疝蟮舢跚鳝刪姍柵訕閃陝縿繕羶贍鱔
+shang 墒伤商赏晌上尚裳垧绱殇熵觞傷殤賞觴
+shao 梢捎稍烧芍勺韶少哨邵绍劭苕潲蛸筲艄紹燒
+she 奢赊蛇舌舍赦摄射慑涉社设厍佘猞滠歙畲麝捨設賒懾攝
+shei 谁
+shen 砷申呻伸身深娠绅神沈审婶甚肾慎渗什诜谂莘哂渖椹胂矧蜃紳脤腎滲審嬸瀋
+sheng 声生甥牲升绳省盛剩胜圣嵊眚笙昇陞勝聖聲賸繩
+shi 匙师失狮施湿诗尸虱十石拾时食蚀实识史矢使屎驶始式示士世柿事拭誓逝势是嗜噬适仕侍释饰氏市恃室视试似谥埘莳蓍弑饣轼贳炻礻铈螫舐筮豉豕鲥鲺屍師時視勢塒弒溼獅試詩軾飾實蝕奭蝨適駛濕識釋
+shou 收手首守寿授售受瘦兽扌狩绶艏壽綬獸
+shu 蔬枢梳殊抒输叔舒淑疏书赎孰熟薯暑曙署蜀黍鼠属术述树束戍竖墅庶数漱恕倏塾菽摅沭澍姝纾毹腧殳秫朮書術數樞豎樹輸橾藷屬贖
+shua 刷耍唰
+shuai 摔衰甩帅蟀帥
+shuan 栓拴闩涮閂
+shuang 霜双爽孀塽雙
+shui 水睡税氵稅誰
+shun 吮瞬顺舜順
+shuo 说硕朔烁蒴搠妁槊铄碩說爍鑠
+si 斯撕嘶思私司丝死肆寺嗣四饲巳厮兕厶咝汜泗澌姒驷纟缌祀锶鸶耜蛳笥絲飼廝駟鷥
+song 松耸怂颂送宋讼诵凇菘崧嵩忪悚淞竦訟頌誦慫聳鬆
+sou 搜艘擞嗽叟薮嗖嗾馊溲飕瞍锼螋蒐擻餿藪颼
+su 苏酥俗素速粟僳塑溯宿诉肃夙谡蔌嗉愫涑簌觫稣甦肅訴穌蘇囌
+suan 酸蒜算狻痠
+sui 虽隋随绥髓碎岁穗遂隧祟谇荽濉邃燧眭睢歲綏誶隨雖
+sun 孙损笋荪狲飧榫隼孫筍損蓀
+suo 蓑梭唆缩琐索锁所唢嗦嗍娑桫睃羧瑣簑縮鎖
+ta 塌他它她塔獭挞蹋踏拓闼溻遢榻铊趿鳎牠遝撻獺
+tai 胎苔抬台泰酞太态汰邰薹肽炱钛跆鲐態臺颱檯
+tan 坍摊贪瘫滩坛檀痰潭谭谈坦毯袒碳探叹炭郯昙忐钽锬覃貪嘆歎談壇曇罈譚攤灘癱
+tang 汤塘搪堂棠膛唐糖倘躺淌趟烫傥帑饧溏瑭樘铴镗耥螗螳羰醣湯燙鏜儻
+tao 掏涛滔绦萄桃逃淘陶讨套鼗啕洮韬饕討絛濤檮韜
+te 特忒忑慝铽
+teng 藤腾疼誊滕謄騰籐
+ti 梯剔踢锑提题蹄啼体替嚏惕涕剃屉倜荑悌逖绨缇鹈裼醍屜緹銻題體
+tian 天添填田甜恬舔腆掭忝阗殄畋鈿靦闐
+tiao 挑条迢眺跳佻祧窕蜩笤粜龆鲦髫條覜鯈
+tie 贴铁帖萜餮貼鐵
+ting 厅听烃汀廷停亭庭挺艇莛葶婷梃町蜓霆聽廳
+tong 通桐酮瞳同铜彤童桶捅筒统痛佟僮仝茼嗵恸潼砼統慟銅
+tou 偷投头透亠钭骰頭
+tu 凸秃突图徒途涂屠土吐兔堍荼菟钍酴禿塗圖
+tuan 湍团抟彖疃團糰
+tui 推颓腿蜕褪退煺蛻頹
+tun 吞屯臀氽饨暾豚飩
+tuo 拖托脱鸵陀驮驼椭妥唾乇佗坨庹沲沱柝橐砣箨酡跎鼍託脫馱駝橢鴕
+wa 挖哇蛙洼娃瓦袜佤娲腽媧窪襪
+wai 歪外崴
+wan 豌弯湾玩顽丸烷完碗挽晚皖惋宛婉万腕剜芄菀纨绾琬脘畹蜿汍萬頑綰輓彎灣
+wang 汪王亡枉网往旺望忘妄罔惘辋魍網輞
+wei 威巍微危韦违桅围唯惟为潍维苇萎委伟伪尾纬未蔚味畏胃喂魏位渭谓尉慰卫偎诿隈圩葳薇囗帏帷嵬猥猬闱沩洧涠逶娓玮韪軎炜煨痿艉鲔為韋偽偉圍幃葦違維緯衛諉謂濰褽闈餵鮪
+wen 瘟温蚊文闻纹吻稳紊问刎阌汶玟璺雯抆紋問塭溫聞穩
+weng 嗡翁瓮蓊蕹甕
+wo 挝蜗涡窝我斡卧握沃倭莴幄渥肟硪龌臥渦萵窩蝸撾擭齷
+wu 巫呜钨乌污诬屋无芜梧吾吴毋武五捂午舞伍侮坞戊雾晤物勿务悟误兀仵阢邬圬芴唔庑怃忤浯寤迕妩婺骛杌牾焐鹉鹜痦蜈鋈鼯汙吳烏務無嗚塢誣誤嫵憮蕪鎢霧騖鵡
+xi 昔熙析西硒矽晰嘻吸锡牺稀息希悉膝夕惜熄烯溪汐犀檄袭席习媳喜铣洗系隙戏细僖兮隰郗菥葸蓰奚唏徙饩阋浠淅屣嬉玺樨曦觋欷熹禊禧皙穸蜥螅蟋舄舾羲粞翕醯鼷係晞細習蓆潟錫戲谿釐璽繫譆犧襲
+xia 瞎虾匣霞辖暇峡侠狭下夏吓狎遐瑕柙硖罅黠俠峽狹煆蝦嚇轄
+xian 掀锨先仙鲜纤咸贤衔舷闲涎弦嫌显险现献县腺馅羡宪陷限线冼苋莶藓岘猃暹娴氙燹祆鹇痫蚬筅籼酰跣跹霰秈峴啣現絃莧閑閒羨蜆僩銜銑嫻線賢憲縣險餡鮮獻鹹蘚纖顯
+xiang 相厢镶香箱襄湘乡翔祥详想响享项巷橡像向象芗葙饷庠骧缃蟓鲞飨廂鄉項詳餉嚮瓖響饗鑲
+xiao 萧硝霄哮嚣销消宵淆晓小孝校肖啸笑效哓崤潇逍骁绡枭枵筱箫魈梟傚詨嘐嘯銷曉蕭篠簫瀟囂驍
+xie 楔些歇蝎鞋协挟携邪斜胁谐写械卸蟹懈泄泻谢屑偕亵勰燮薤撷獬廨渫瀣邂绁缬榭榍躞協洩挾脅紲寫頡諧褻謝擷瀉蠍攜
+xin 薪芯锌欣辛新忻心信衅囟馨忄昕歆鑫訢鋅釁
+xing 星腥猩惺兴刑型形邢行醒幸杏性姓陉荇荥擤悻硎倖陘興
+xiong 兄凶胸匈汹雄熊兇洶
+xiu 休修羞朽嗅锈秀袖绣咻岫馐庥溴鸺貅髹脩繡鏽
+xu 墟戌需虚嘘须徐许蓄酗叙旭序恤絮婿绪续吁诩勖蓿洫溆顼栩煦盱胥糈醑卹訏敘勗許虛須頊緒噓續鬚
+xuan 轩喧宣悬旋玄选癣眩绚儇谖萱揎泫渲漩璇楦暄炫煊碹铉镟痃晅軒絢鉉諼選璿懸癬
+xue 削靴薛学穴雪血谑泶踅鳕學
+xun 勋熏循旬询寻驯巡殉汛训讯逊迅巽埙荀荨蕈薰峋徇獯恂洵浔曛窨醺鲟訊訓勛尋詢馴遜潯潠勳壎燻
+ya 压押鸦鸭呀丫芽牙蚜崖衙涯雅哑亚讶轧伢垭揠吖岈迓娅琊桠氩砑睚痖亞軋啞訝氬鴉鴨壓
+yan 焉咽阉烟淹盐严研蜒岩延言颜阎炎沿奄掩眼衍演艳堰燕厌砚雁唁彦焰宴谚验厣赝俨偃兖讠谳郾鄢芫菸崦恹闫湮滟妍嫣琰檐晏胭腌焱罨筵酽魇餍鼹兗彥硯煙厭醃燄諺閻縯顏嚥簷嚴儼贗鼴巖饜驗艷魘鹽釅豔
+yang 殃央鸯秧杨扬佯疡羊洋阳氧仰痒养样漾徉怏泱炀烊恙蛘鞅揚陽暘楊煬瘍樣養鴦鍚颺癢
+yao 邀腰妖瑶摇尧遥窑谣姚咬舀药要耀钥夭爻吆崾徭幺珧杳轺曜肴鹞窈繇鳐堯搖榣瑤遙窯餚謠藥鷂鑰
+ye 椰噎耶爷野冶也页掖业叶曳腋夜液靥谒邺揶晔烨铘頁暍業爺葉曄謁鄴靨
+yi 一壹医揖铱依伊衣颐夷遗移仪胰疑沂宜姨彝椅蚁倚已乙矣以艺抑易邑屹亿役臆逸肄疫亦裔意毅忆义益溢诣议谊译异翼翌绎刈劓佚佾诒圯埸懿苡薏弈奕挹弋呓咦咿噫峄嶷猗饴怿怡悒漪迤驿缢殪轶贻欹旖熠眙钇镒镱痍瘗癔翊衤蜴舣羿翳酏黟迆帟栘浥訑偯異貽軼睪義詣飴億儀誼憶縊遺頤醫鎰繹藝蟻議譯囈驛
+yin 茵荫因殷音阴姻吟银淫寅饮尹引隐印胤鄞廴垠堙茚吲喑狺夤洇氤铟瘾蚓霪陰飲慇銀蔭隱癮
+ying 英樱婴鹰应缨莹萤营荧蝇迎赢盈影颖硬映嬴郢茔莺萦蓥撄嘤膺滢潆瀛瑛璎楹媵鹦瘿颍罂塋熒瑩穎縈螢嬰應營蠅嚶罌贏櫻瓔鶯纓鷹鸚
+yo 哟唷喲
+yong 拥佣臃痈庸雍踊蛹咏泳涌永恿勇用俑壅墉喁慵邕镛甬鳙饔湧詠傭鄘擁踴
+you 幽优悠忧尤由邮铀犹油游酉有友右佑釉诱又幼卣攸侑莠莜莸尢呦囿宥柚猷牖铕疣蚰蚴蝣鱿黝鼬祐猶郵遊鈾誘憂魷優
+yu 迂淤于盂榆虞愚舆余俞逾鱼愉渝渔隅予娱雨与屿禹宇语羽玉域芋郁遇喻峪御愈欲狱育誉浴寓裕预豫驭禺毓伛俣谀谕萸蓣揄圄圉嵛狳饫馀庾阈鬻妪妤纡瑜昱觎腴欤於煜燠肀聿钰鹆鹬瘐瘀窬窳蜮蝓竽臾舁雩龉紆堉娛敔魚馭預嫗漁獄瘉與語慾褕諛餘澦禦覦諭嶼輿歟癒譽齬鬱籲
+yuan 鸳渊冤元垣袁原援辕园员圆猿源缘远苑愿怨院垸塬掾沅媛瑗橼爰眢鸢螈箢鼋員淵湲園圓遠鳶緣鴛轅願騵
+yue 曰约越跃岳粤月悦阅龠瀹樾刖钺玥約悅軏粵閱嶽躍籥
+yun 耘云郧匀陨允运蕴酝晕韵孕郓芸狁恽愠纭韫殒昀氲熨筠勻紜雲慍暈運隕氳醞韻蘊
+za 匝砸杂咋拶咂偺紮雜臢
+zai 栽哉灾宰载再在崽甾災載
+zan 咱攒暂赞瓒昝簪糌趱錾暫贊鏨瓚讚
+zang 赃脏葬奘驵臧贓臟髒
+zao 遭糟凿藻枣早澡蚤躁噪造皂灶燥唣棗譟鑿
+ze 责择则泽仄赜啧帻迮昃笮箦舴則責嘖擇澤
+zei 贼賊鯽
+zen 怎谮
+zeng 增憎赠缯甑罾锃繒贈
+zha 扎喳渣札铡闸眨栅榨乍炸诈柞揸吒咤哳楂砟痄蚱齄詐搾閘
+zhai 摘斋宅窄债寨砦瘵債齋
+zhan 瞻毡詹粘沾盏斩崭展蘸栈占战站湛绽谵搌旃佔斬棧盞嶄綻戰霑氈輾譫
+zhang 长樟章彰漳张掌涨杖丈帐账仗胀瘴障仉鄣幛嶂獐嫜璋蟑長帳張脹漲賬
+zhao 招昭找沼赵照罩兆肇召爪诏啁棹钊笊炤釗詔趙櫂
+zhe 遮折哲蛰辙者锗蔗这浙著着谪摺柘辄磔鹧褶蜇赭這輒謫轍鷓
+zhen 珍斟真甄砧臻贞针侦枕疹诊震振镇阵圳蓁浈缜桢榛轸赈胗朕祯畛稹鸩箴甽貞針陣偵診楨禎賑鴆鎮
+zheng 蒸挣睁征狰争怔整拯正政帧症郑证诤峥钲铮筝爭崢掙猙幀証睜箏諍鄭錚證鯖癥
+zhi 芝枝支吱蜘知肢脂汁之织职直植殖执值侄址指止趾只旨纸志挚掷至致置帜峙制智秩稚质炙痔滞治窒卮陟郅埴芷摭帙徵夂忮彘咫骘栉枳栀桎轵轾贽胝膣祉祗黹雉鸷痣蛭絷酯跖踬踯豸觯泜姪紙衹隻執梔輊滯製誌幟摯緻質櫛擲織職躑躓
+zhong 中盅忠钟衷终种肿重仲众冢锺螽舯踵眾終塚腫種鍾鐘
+zhou 舟周州洲诌粥轴肘帚咒皱宙昼骤荮妯纣绉胄籀酎冑紂晝軸週皺縐驟
+zhu 珠株蛛朱猪诸诛逐竹烛煮拄瞩嘱主柱助蛀贮铸筑住注祝驻丶伫侏邾苎茱洙渚潴杼槠橥炷铢疰瘃竺箸舳翥躅麈佇硃註貯誅跦銖諸豬駐築燭鑄囑矚
+zhua 抓
+zhuai 拽
+zhuan 专砖转撰赚篆啭馔颛專僎磚賺轉顓囀
+zhuang 桩庄装妆撞壮状壯妝狀莊裝樁
+zhui 锥追赘坠缀惴骓缒隹綴墜錐贅
+zhun 谆准肫窀準諄
+zhuo 捉拙卓桌茁酌啄灼浊倬诼擢浞涿濯禚斫镯濁鐲
+zi 兹咨资姿滋淄孜紫仔籽滓子自渍字谘嵫姊孳缁梓辎赀恣眦锱秭耔笫粢趑觜訾龇鲻髭玆茲資貲漬緇輜諮錙
+zong 鬃棕踪宗综总纵偬腙粽傯綜總縱蹤
+zou 邹走奏揍诹陬鄹驺楱鲰鄒
+zu 租足卒族祖诅阻组俎镞組詛鏃
+zuan 钻纂攥缵躜鑽
+zui 嘴醉最罪蕞
+zun 尊遵撙樽鳟
+zuo 琢昨左佐做作坐座阼唑怍胙祚
+`;
+
+/** Characters whose usual reading in names differs from the table's default. */
+const PINYIN_OVERRIDES = {
+  长: 'chang', 長: 'chang', 佛: 'fo', 似: 'si', 茄: 'qie', 地: 'di', 曝: 'bao', 泊: 'bo', 薄: 'bo',
+};
+
+/** Words in which a polyphonic character takes another reading (longest match wins). */
+const PINYIN_PHRASES = {
+  重庆: 'chong qing', 重慶: 'chong qing', 重新: 'chong xin', 重复: 'chong fu', 重建: 'chong jian',
+  重启: 'chong qi', 重组: 'chong zu', 重申: 'chong shen', 重返: 'chong fan', 重阳: 'chong yang',
+  银行: 'yin hang', 銀行: 'yin hang', 央行: 'yang hang', 投行: 'tou hang', 行业: 'hang ye', 行業: 'hang ye',
+  行长: 'hang zhang', 部长: 'bu zhang', 部長: 'bu zhang', 市长: 'shi zhang', 市長: 'shi zhang',
+  省长: 'sheng zhang', 州长: 'zhou zhang', 县长: 'xian zhang', 镇长: 'zhen zhang', 村长: 'cun zhang',
+  局长: 'ju zhang', 厅长: 'ting zhang', 处长: 'chu zhang', 院长: 'yuan zhang', 校长: 'xiao zhang',
+  会长: 'hui zhang', 社长: 'she zhang', 队长: 'dui zhang', 船长: 'chuan zhang', 机长: 'ji zhang',
+  议长: 'yi zhang', 首长: 'shou zhang', 家长: 'jia zhang', 董事长: 'dong shi zhang', 董事長: 'dong shi zhang',
+  成长: 'cheng zhang', 增长: 'zeng zhang', 增長: 'zeng zhang', 生长: 'sheng zhang', 长大: 'zhang da',
+  音乐: 'yin yue', 音樂: 'yin yue', 乐团: 'yue tuan', 乐队: 'yue dui', 乐器: 'yue qi', 乐清: 'yue qing',
+  了解: 'liao jie', 首都: 'shou du', 成都: 'cheng du', 京都: 'jing du', 都市: 'du shi', 都会: 'du hui',
+  西藏: 'xi zang', 藏族: 'zang zu', 藏区: 'zang qu', 调整: 'tiao zheng', 協調: 'xie tiao', 协调: 'xie tiao',
+  空调: 'kong tiao', 调节: 'tiao jie', 调控: 'tiao kong', 调解: 'tiao jie', 调和: 'tiao he',
+  角色: 'jue se', 主角: 'zhu jue', 便宜: 'pian yi', 出差: 'chu chai', 睡觉: 'shui jiao', 会计: 'kuai ji',
+  投降: 'tou xiang', 传记: 'zhuan ji', 自传: 'zi zhuan', 着陆: 'zhuo lu', 没收: 'mo shou',
+  首相: 'shou xiang', 外相: 'wai xiang', 人参: 'ren shen', 给予: 'ji yu', 大夫: 'dai fu',
+  六安: 'lu an', 蚌埠: 'beng bu', 番禺: 'pan yu', 丽水: 'li shui',
+};
+
+let pinyinIndex = null; // character → syllable, built on first use
+
+function pinyinReadings() {
+  if (!pinyinIndex) {
+    pinyinIndex = new Map();
+    for (const line of PINYIN_TABLE.trim().split('\n')) {
+      const [syllable, chars] = line.split(' ');
+      for (const char of chars) pinyinIndex.set(char, syllable);
+    }
+    for (const [char, syllable] of Object.entries(PINYIN_OVERRIDES)) pinyinIndex.set(char, syllable);
+  }
+  return pinyinIndex;
+}
+
+const PINYIN_PHRASE_MAX = Math.max(...Object.keys(PINYIN_PHRASES).map((p) => p.length));
+
+/**
+ * Words of `text` in reading order: one syllable per Han character, Latin
+ * words without accents and numbers in lower case. Han characters outside the
+ * table and everything else (punctuation, kana, emoji…) are dropped.
+ */
+function romanize(text) {
+  const readings = pinyinReadings();
+  const words = [];
+  const runs = String(text || '').normalize('NFKC').match(/\p{Script=Han}+|(?:(?!\p{Script=Han})[\p{L}\p{N}\p{M}])+/gu) || [];
+  for (const run of runs) {
+    if (!/\p{Script=Han}/u.test(run)) {
+      const word = run.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+      if (word) words.push(word);
+      continue;
+    }
+    const chars = [...run];
+    for (let i = 0; i < chars.length;) {
+      let len = Math.min(PINYIN_PHRASE_MAX, chars.length - i);
+      while (len > 1 && !PINYIN_PHRASES[chars.slice(i, i + len).join('')]) len--;
+      const phrase = len > 1 ? PINYIN_PHRASES[chars.slice(i, i + len).join('')] : readings.get(chars[i]);
+      if (phrase) words.push(...phrase.split(' '));
+      i += len;
+    }
+  }
+  return words;
+}
+
+/** Names event `e` is looked up by in the event-name-mem cache. */
+function eventCacheNames(e) {
+  return e.pinyin && e.pinyin !== e.name ? [e.name, e.pinyin] : [e.name];
+}
+
+/** How each generated identifier looks: event pinyin is space separated, tag slugs are hyphenated. */
+const GENERATED_IDENTIFIERS = {
+  event: { column: 'pinyin', separator: ' ', fallback: (id) => `event ${id}` },
+  tag: { column: 'slug', separator: '-', fallback: (id) => `tag-${id}` },
+};
+
+/**
+ * Give every row in `rows` (a Map by ID) that lacks the table's identifier
+ * one built from its name. Values held by other rows of this seed or by rows
+ * already stored under other IDs are taken; a taken value gets the lowest
+ * free suffix (`…-2`, `…-3`). Returns [{ id, value, wanted }] for what was set.
+ */
+async function fillMissingIdentifiers(pg, table, rows) {
+  const { column, separator, fallback } = GENERATED_IDENTIFIERS[table];
+  const { rows: stored } = await pg.query(
+    `SELECT ${quoteIdent(column)} AS value FROM ${quoteIdent(table)}
+     WHERE ${quoteIdent(column)} IS NOT NULL AND NOT (id = ANY($1::integer[]))`,
+    [[...rows.keys()]]
+  );
+  const taken = new Set(stored.map((r) => r.value.toLowerCase()));
+  for (const row of rows.values()) if (row[column]) taken.add(row[column].toLowerCase());
+
+  const filled = [];
+  for (const row of [...rows.values()].filter((r) => !r[column]).sort((a, b) => a.id - b.id)) {
+    const wanted = romanize(row.name).join(separator) || fallback(row.id);
+    let value = wanted;
+    for (let n = 2; taken.has(value); n++) value = `${wanted}${separator}${n}`;
+    taken.add(value);
+    row[column] = value;
+    filled.push({ id: row.id, value, wanted });
+  }
+  return filled;
+}
+
+// ---------------------------------------------------------------------------
+// Bulk write helpers
+// ---------------------------------------------------------------------------
+
+const PG_MAX_PARAMS = 65535;     // bind parameters allowed in one statement
+const INSERT_BATCH_ROWS = 1000;  // rows per multi-row INSERT
+const REDIS_BATCH_SIZE = 1000;   // commands per pipeline round-trip
+
+const quoteIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Insert `rows` (plain objects keyed by column) with chunked multi-row
+ * INSERTs. Rows sharing the same `key` are collapsed to the first one, since
+ * a single statement may not touch a conflicting row twice.
+ * With `upsert`, conflicting rows get every non-key column except
+ * "createdAt" overwritten; otherwise `onConflict` applies.
+ * Returns the number of rows actually written.
+ */
+async function insertRows(pg, table, rows, { key = ['id'], upsert = false, onConflict = 'ON CONFLICT DO NOTHING' } = {}) {
+  if (rows.length === 0) return 0;
+  const seen = new Set();
+  const unique = rows.filter((row) => {
+    const k = key.map((c) => row[c]).join('\u0000');
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+
+  // Columns the live table lacks are left out; preflight() reported them
+  const columns = Object.keys(unique[0]).filter((c) => !liveColumns || liveColumns.get(table).has(c));
+  if (upsert) {
+    const updates = columns
+      .filter((c) => !key.includes(c) && c !== 'createdAt')
+      .map((c) => `${quoteIdent(c)} = EXCLUDED.${quoteIdent(c)}`);
+    onConflict = `ON CONFLICT (${key.map(quoteIdent).join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+  }
+  if (dryRun) await dryRun.compareRows(pg, table, unique, key, upsert || /DO UPDATE/.test(onConflict));
+  const perBatch = Math.max(1, Math.min(INSERT_BATCH_ROWS, Math.floor(PG_MAX_PARAMS / columns.length)));
+  const columnList = columns.map(quoteIdent).join(', ');
+  let written = 0;
+  for (let i = 0; i < unique.length; i += perBatch) {
+    const params = [];
+    const tuples = unique.slice(i, i + perBatch).map((row) =>
+      `(${columns.map((c) => { params.push(row[c]); return `$${params.length}`; }).join(', ')})`
+    );
+    const res = await pg.query(
+      `INSERT INTO ${quoteIdent(table)} (${columnList}) VALUES ${tuples.join(', ')} ${onConflict}`,
+      params
+    );
+    written += res.rowCount;
+  }
+  return written;
+}
+
+/**
+ * Point `{table}_id_seq` at MAX(id). Outside --reset the sequence never
+ * moves backwards, so IDs handed out to local-only rows are not reused.
+ * Returns the new sequence value.
+ */
+async function syncSequence(pg, table) {
+  const seq = quoteIdent(`${table}_id_seq`);
+  const floor = RESET
+    ? '0'
+    : `(SELECT CASE WHEN is_called THEN last_value ELSE last_value - 1 END FROM ${seq})`;
+  if (dryRun) {
+    // setval() ignores transactions, so only work out where it would land
+    const { rows } = await pg.query(
+      `SELECT (SELECT CASE WHEN is_called THEN last_value ELSE last_value - 1 END FROM ${seq}) AS current,
+              GREATEST(COALESCE(MAX(id), 0), ${floor}) AS target
+         FROM ${quoteIdent(table)}`
+    );
+    dryRun.sequence(table, +rows[0].current, +rows[0].target);
+    return +rows[0].target;
+  }
+  const { rows } = await pg.query(
+    `SELECT setval($1, GREATEST(m.max_id, 1), m.max_id > 0) AS value
+     FROM (SELECT GREATEST(COALESCE(MAX(id), 0), ${floor}) AS max_id FROM ${quoteIdent(table)}) m`,
+    [seq]
+  );
+  return +rows[0].value;
+}
+
+/** Delete the rows of every SEED_TABLES table (children first). */
+async function resetTables(pg) {
+  for (const table of SEED_TABLES) {
+    if (liveColumns && !liveColumns.has(table)) continue; // optional table not seeded here
+    try {
+      const res = await pg.query(`DELETE FROM ${quoteIdent(table)}`);
+      if (dryRun) dryRun.deletedRows(table, res.rowCount);
+      console.log(`   ✓ ${table}: ${res.rowCount} rows ${dryRun ? 'would be ' : ''}deleted`);
+    } catch (err) {
+      if (err.code === '23503') {
+        // A table the seed does not manage still references these rows
+        err.message += ` — delete the referencing local rows first, or use ./run.sh deep-clean`;
+      }
+      throw err;
+    }
+  }
+}
+
+/** Delete every key matching `patterns`. Returns the count. */
+async function resetRedisKeys(rd, patterns = SEED_REDIS_PATTERNS) {
+  const batch = createRedisBatch(rd);
+  for (const pattern of patterns) {
+    let cursor = '0';
+    do {
+      const [next, keys] = await rd.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+      cursor = next;
+      for (const key of keys) await batch.add('del', key);
+    } while (cursor !== '0');
+  }
+  await batch.flush();
+  return batch.sent;
+}
+
+/**
+ * Drop the bogus UNIQUE constraint on eventStackNews.eventId alone
+ * (Sequelize model bug). The table already has a composite PK on
+ * (eventId, newsId).
+ */
+async function dropBogusEventStackNewsConstraint(pg) {
+  const { rowCount: bogusConstraint } = await pg.query(
+    `SELECT 1 FROM pg_constraint WHERE conname = 'eventStackNews_eventId_key'`
+  );
+  if (bogusConstraint) {
+    await pg.query(`ALTER TABLE "eventStackNews" DROP CONSTRAINT "eventStackNews_eventId_key"`);
+    console.log('   ⚠ Dropped UNIQUE constraint "eventStackNews_eventId_key" (an event may link many news)');
+  }
+}
+
+/** UPDATE many rows by id in chunks: `values` is [[id, value], ...]. */
+async function updateColumnById(pg, table, column, values, type = 'integer') {
+  if (liveColumns && !liveColumns.get(table).has(column)) return;
+  for (let i = 0; i < values.length; i += INSERT_BATCH_ROWS) {
+    const params = [];
+    const tuples = values.slice(i, i + INSERT_BATCH_ROWS).map(([id, value]) => {
+      params.push(id, value);
+      return `($${params.length - 1}::integer, $${params.length}::${type})`;
+    });
+    await pg.query(
+      `UPDATE ${quoteIdent(table)} AS t SET ${quoteIdent(column)} = v.value
+       FROM (VALUES ${tuples.join(', ')}) AS v(id, value)
+       WHERE t.id = v.id`,
+      params
+    );
+  }
+}
+
+/**
+ * Point header image rows and commit snapshots that still carry an
+ * original URL at its mirrored copy. Rows inserted by this run already do;
+ * this covers rows kept by ON CONFLICT DO NOTHING and older commits.
+ */
+async function rewriteMirroredImageUrls(pg, mirrored) {
+  const originals = [...mirrored.keys()];
+  const { rows: imageRows } = await pg.query(
+    'SELECT id, "imageUrl" FROM "headerImage" WHERE "imageUrl" = ANY($1::text[])', [originals]
+  );
+  await updateColumnById(pg, 'headerImage', 'imageUrl',
+    imageRows.map((r) => [r.id, mirrored.get(r.imageUrl)]), 'text');
+
+  const { rows: commitRows } = await pg.query(
+    `SELECT id, data FROM commit WHERE data->'headerImage'->>'imageUrl' = ANY($1::text[])`, [originals]
+  );
+  await updateColumnById(pg, 'commit', 'data', commitRows.map((r) => {
+    const snapshot = typeof r.data === 'string' ? JSON.parse(r.data) : r.data;
+    snapshot.headerImage.imageUrl = mirrored.get(snapshot.headerImage.imageUrl);
+    return [r.id, JSON.stringify(snapshot)];
+  }), 'jsonb');
+  if (imageRows.length || commitRows.length) {
+    console.log(`   ✓ Pointed ${imageRows.length} existing header image(s) and ${commitRows.length} commit(s) at the mirror`);
+  }
+}
+
+/**
+ * Queue Redis commands and send them as pipelines of REDIS_BATCH_SIZE.
+ * Call flush() once at the end to send the remainder.
+ */
+function createRedisBatch(rd) {
+  if (dryRun) return dryRun.redisBatch(rd);
+  let pipeline = rd.pipeline();
+  let queued = 0;
+  let sent = 0;
+
+  const batch = {
+    async add(command, ...commandArgs) {
+      pipeline[command](...commandArgs);
+      if (++queued >= REDIS_BATCH_SIZE) await batch.flush();
+    },
+    async flush() {
+      if (queued === 0) return;
+      const current = pipeline;
+      pipeline = rd.pipeline();
+      sent += queued;
+      queued = 0;
+      const results = await current.exec();
+      const failed = results.find(([err]) => err);
+      if (failed) throw failed[0];
+    },
+    get sent() {
+      return sent;
+    },
+  };
+  return batch;
+}
+
+/** JSON.stringify with sorted object keys, for comparing jsonb round-trips. */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/** Group `items` into a Map of key → array, preserving order. */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = keyOf(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return groups;
+}
+
+// ---------------------------------------------------------------------------
+// Commit snapshots and history
+// ---------------------------------------------------------------------------
+
+const toMs = (value, fallback) => {
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? fallback : ms;
+};
+
+/**
+ * Build the commit.data snapshot the API expects for event `e`, given the
+ * stacks visible at that moment (sorted by order, each with its `news`
+ * sorted newest first) and the event's off-shelf news.
+ */
+function buildEventSnapshot(e, {
+  stacks, tags, headerImage: hi, owner, contributors = [], contribution = [], offshelfNews = [], latestNews, updatedAt, now,
+}) {
+  // Compute stack-level newsCount and event-level totals
+  let totalNewsCount = 0;
+  const eventStacks = stacks.map((s) => {
+    totalNewsCount += s.news.length;
+    return { ...s, newsCount: s.news.length };
+  });
+
+  // Determine a timestamp for sorting: first stack time, first news time, or event updatedAt
+  let commitTime = null;
+  if (eventStacks.length > 0 && eventStacks[0].time) {
+    commitTime = eventStacks[0].time;
+  } else if (eventStacks.length > 0 && eventStacks[0].news && eventStacks[0].news.length > 0 && eventStacks[0].news[0].time) {
+    commitTime = eventStacks[0].news[0].time;
+  } else if (latestNews && latestNews.time) {
+    commitTime = latestNews.time;
+  } else {
+    commitTime = updatedAt || now;
+  }
+
+  return {
+    id: e.id,
+    name: e.name,
+    pinyin: e.pinyin || null,
+    description: e.description || null,
+    status: eventStatus(e),
+    needContributor: e.needContributor || false,
+    ownerId: e.ownerId || 1,
+    parentId: e.parentId || null,
+    latestAdmittedNewsId: (latestNews ? latestNews.id : null),
+    headerImage: hi ? { id: hi.id, imageUrl: hi.imageUrl, source: hi.source, sourceUrl: hi.sourceUrl, eventId: e.id } : null,
+    latestAdmittedNews: latestNews,
+    stacks: eventStacks,
+    tags,
+    offshelfNews,
+    owner,
+    stackCount: eventStacks.length,
+    newsCount: totalNewsCount,
+    contribution,
+    contributors,
+    commitTime: commitTime,
+    createdAt: e.createdAt || now,
+    updatedAt: updatedAt || now,
+  };
+}
+
+const CLIENT_PII_FIELDS = ['username', 'nickname', 'email', 'avatar', 'description'];
+
+/**
+ * Copy of a scraped contribution record with every embedded client replaced
+ * by its pseudo user, so real names never reach commit.data.
+ */
+function pseudonymizeContribution(entry, clientById) {
+  if (!entry || typeof entry !== 'object') return entry;
+  const asClient = (id) => (clientById.has(+id) ? publicClient(clientById.get(+id)) : null);
+  const isClient = (v) => v && typeof v === 'object' && !Array.isArray(v) && v.id != null &&
+    CLIENT_PII_FIELDS.some((f) => f in v);
+  if (isClient(entry)) return asClient(entry.id);
+
+  const copy = {};
+  for (const [key, value] of Object.entries(entry)) {
+    if (CLIENT_PII_FIELDS.includes(key)) continue;
+    copy[key] = isClient(value) ? asClient(value.id) : value;
+  }
+  return copy;
+}
+
+const MAX_HISTORY_COMMITS = 40; // per event; longer histories are coarsened
+
+/**
+ * Replay an event's stacks and news in time order. Each returned step
+ * becomes one commit after the creation commit:
+ *   { ms, summary, stacks: [stack], news: [{ stackId, item }] }
+ * A stack arrives together with the news published before it; later news
+ * arrive on their own, and news added on the same (UTC) day share a commit.
+ * Events with more steps than MAX_HISTORY_COMMITS get adjacent steps merged.
+ */
+function planEventHistory(eventStacks, createdMs) {
+  const steps = [];
+  for (const stack of eventStacks) {
+    const stackMs = Math.max(createdMs, toMs(stack.time || stack.createdAt, createdMs));
+    const arrivedWithStack = [];
+    for (const item of stack.news) {
+      const newsMs = toMs(item.time, stackMs);
+      if (newsMs <= stackMs) arrivedWithStack.push({ stackId: stack.id, item });
+      else steps.push({ ms: newsMs, stacks: [], news: [{ stackId: stack.id, item }] });
+    }
+    steps.push({ ms: stackMs, stacks: [stack], news: arrivedWithStack });
+  }
+  // Oldest first; a stack goes before news added at the same instant
+  steps.sort((a, b) => a.ms - b.ms || b.stacks.length - a.stacks.length);
+
+  const day = (ms) => Math.floor(ms / 86400000);
+  let merged = [];
+  for (const step of steps) {
+    const prev = merged[merged.length - 1];
+    if (prev && !prev.stacks.length && !step.stacks.length && day(prev.ms) === day(step.ms)) {
+      prev.news.push(...step.news);
+      prev.ms = step.ms;
+    } else {
+      merged.push(step);
+    }
+  }
+
+  if (merged.length > MAX_HISTORY_COMMITS) {
+    const size = Math.ceil(merged.length / MAX_HISTORY_COMMITS);
+    const coarse = [];
+    for (let i = 0; i < merged.length; i += size) {
+      const group = merged.slice(i, i + size);
+      coarse.push({
+        ms: group[group.length - 1].ms,
+        stacks: group.flatMap((g) => g.stacks),
+        news: group.flatMap((g) => g.news),
+      });
+    }
+    merged = coarse;
+  }
+
+  for (const step of merged) {
+    const { stacks, news } = step;
+    if (stacks.length === 1) {
+      step.summary = `Added stack "${stacks[0].title}"` + (news.length ? ` with ${news.length} news` : '');
+    } else if (stacks.length > 1) {
+      step.summary = `Added ${stacks.length} stacks` + (news.length ? ` and ${news.length} news` : '');
+    } else if (news.length === 1) {
+      step.summary = `Added news "${news[0].item.title}"`;
+    } else {
+      step.summary = `Added ${news.length} news`;
+    }
+  }
+  return merged;
+}
+
+// ---------------------------------------------------------------------------
+// Dry run (--dry-run)
+//
+//   seedDatabase() still runs its statements, but inside a transaction
+//   that is rolled back, so later steps see the rows earlier steps would
+//   have written. insertRows() first compares each row with the stored one,
+//   syncSequence() only computes the value it would set, and Redis commands
+//   are compared with the stored keys instead of being sent.
+// ---------------------------------------------------------------------------
+
+const DRY_RUN_SAMPLES = 3;
+// The seed re-hashes the same password and stamps join rows with the
+// current time on every run; differences there are noise
+const DRY_RUN_IGNORED_COLUMNS = new Set(['password', 'createdAt', 'updatedAt']);
+
+let dryRun = null; // report collector while --dry-run is active
+
+/** Comparable form of a column value as pg returns it or the seed sends it. */
+function comparableValue(value, stored) {
+  if (value == null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return stableStringify(value);
+  if (typeof value === 'string' && stored && typeof stored === 'object' && !(stored instanceof Date)) {
+    try {
+      return stableStringify(JSON.parse(value));
+    } catch (err) {
+      return value;
+    }
+  }
+  if (typeof value === 'string' && stored instanceof Date && !Number.isNaN(Date.parse(value))) {
+    return new Date(value).toISOString();
+  }
+  return String(value);
+}
+
+const previewValue = (value) => {
+  const text = value == null ? 'null' : JSON.stringify(value instanceof Date ? value.toISOString() : value);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+};
+
+/** Redis key family for the report, e.g. surge-acl_users@* or surge-client-name-mem-*. */
+function redisKeyFamily(key) {
+  if (key.startsWith(`${ACL_PREFIX}_allows_`)) return `${ACL_PREFIX}_allows_*`;
+  const at = key.indexOf('@');
+  if (key.startsWith(ACL_PREFIX) && at > 0) return `${key.slice(0, at)}@*`;
+  const mem = key.indexOf('-mem-');
+  return mem > 0 ? `${key.slice(0, mem + 5)}*` : key;
+}
+
+function createDryRunReport() {
+  const tables = new Map();   // table → { insert, unchanged, differs, update, deleted, samples }
+  const families = new Map(); // family → { added, unchanged, changed, deleted, samples }
+  const sequences = [];
+  const tableStats = (table) => {
+    if (!tables.has(table)) tables.set(table, { insert: 0, unchanged: 0, differs: 0, update: 0, deleted: 0, samples: [] });
+    return tables.get(table);
+  };
+  const familyStats = (key) => {
+    const family = redisKeyFamily(key);
+    if (!families.has(family)) families.set(family, { added: 0, unchanged: 0, changed: 0, deleted: 0, samples: [] });
+    return families.get(family);
+  };
+
+  return {
+    /** Classify `rows` against the stored rows with the same key. */
+    async compareRows(pg, table, rows, key, updates) {
+      const stats = tableStats(table);
+      const keyOf = (row) => key.map((c) => String(row[c])).join('\u0000');
+      const stored = new Map();
+      // --reset empties the table first (seedRedis() cannot see the rolled-back delete)
+      for (let i = 0; i < rows.length && !(RESET && SEED_TABLES.includes(table)); i += INSERT_BATCH_ROWS) {
+        const chunk = rows.slice(i, i + INSERT_BATCH_ROWS);
+        const { rows: found } = await pg.query(
+          `SELECT * FROM ${quoteIdent(table)}
+            WHERE (${key.map((c) => `${quoteIdent(c)}::text`).join(', ')})
+               IN (SELECT * FROM unnest(${key.map((c, k) => `$${k + 1}::text[]`).join(', ')}))`,
+          key.map((c) => chunk.map((row) => String(row[c])))
+        );
+        for (const row of found) stored.set(keyOf(row), row);
+      }
+      for (const row of rows) {
+        const existing = stored.get(keyOf(row));
+        if (!existing) {
+          stats.insert++;
+          continue;
+        }
+        const changed = Object.keys(row).filter((c) => !DRY_RUN_IGNORED_COLUMNS.has(c) && c in existing &&
+          comparableValue(row[c], existing[c]) !== comparableValue(existing[c], existing[c]));
+        if (changed.length === 0) {
+          stats.unchanged++;
+          continue;
+        }
+        if (updates) stats.update++;
+        else stats.differs++;
+        if (stats.samples.length < DRY_RUN_SAMPLES) {
+          stats.samples.push(`${key.map((c) => row[c]).join('/')}: ` + changed.slice(0, 4)
+            .map((c) => `${c} ${previewValue(existing[c])} → ${previewValue(row[c])}`).join('; ') +
+            (changed.length > 4 ? `; +${changed.length - 4} more` : ''));
+        }
+      }
+    },
+    deletedRows(table, count) {
+      tableStats(table).deleted += count;
+    },
+    sequence(table, current, target) {
+      if (target < current) sequences.push(`${table}_id_seq would move back from ${current} to ${target}`);
+    },
+    /** Stand-in for createRedisBatch(): compares SADD/SET/DEL with Redis instead of sending them. */
+    redisBatch(rd) {
+      const pending = new Map(); // key → { command, members | value }
+      let recorded = 0;
+      return {
+        async add(command, key, ...values) {
+          recorded++;
+          if (command === 'del') {
+            familyStats(key).deleted++;
+            return;
+          }
+          if (!pending.has(key)) pending.set(key, { command, members: new Set(), value: null });
+          const entry = pending.get(key);
+          if (command === 'sadd') values.forEach((v) => entry.members.add(String(v)));
+          else entry.value = String(values[0]);
+        },
+        async flush() {
+          const keys = [...pending.keys()];
+          for (let i = 0; i < keys.length; i += REDIS_BATCH_SIZE) {
+            const chunk = keys.slice(i, i + REDIS_BATCH_SIZE);
+            const pipeline = rd.pipeline();
+            for (const key of chunk) {
+              if (pending.get(key).command === 'sadd') pipeline.smembers(key);
+              else pipeline.get(key);
+            }
+            const results = await pipeline.exec();
+            chunk.forEach((key, k) => {
+              const entry = pending.get(key);
+              const stats = familyStats(key);
+              // --reset deletes the key before it is written again
+              const current = RESET ? null : results[k][1];
+              const empty = current == null || (Array.isArray(current) && current.length === 0);
+              if (empty) {
+                stats.added++;
+                return;
+              }
+              const missing = entry.command === 'sadd'
+                ? [...entry.members].filter((m) => !current.includes(m))
+                : null;
+              if (entry.command === 'sadd' ? missing.length === 0 : current === entry.value) {
+                stats.unchanged++;
+                return;
+              }
+              stats.changed++;
+              if (stats.samples.length < DRY_RUN_SAMPLES) {
+                stats.samples.push(entry.command === 'sadd'
+                  ? `${key}: +${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', …' : ''}`
+                  : `${key}: ${previewValue(current)} → ${previewValue(entry.value)}`);
+              }
+            });
+          }
+          pending.clear();
+        },
+        get sent() {
+          return recorded;
+        },
+      };
+    },
+    print() {
+      console.log('\n🔍 Dry run — nothing was written. Compared with the current state:');
+      console.log('\n   PostgreSQL               insert  unchanged  differs  update  delete');
+      for (const [table, s] of tables) {
+        console.log(`   ${table.padEnd(22)} ${[s.insert, s.unchanged, s.differs, s.update, s.deleted]
+          .map((n, i) => String(n).padStart([8, 11, 9, 8, 8][i])).join('')}`);
+      }
+      console.log('   (differs: kept as stored because of ON CONFLICT DO NOTHING; update: overwritten)');
+      for (const [table, s] of tables) {
+        for (const sample of s.samples) console.log(`     ${table} ${sample}`);
+      }
+      console.log('\n   Redis                                 new  unchanged  changed  delete');
+      for (const [family, s] of families) {
+        console.log(`   ${family.padEnd(34)} ${[s.added, s.unchanged, s.changed, s.deleted]
+          .map((n, i) => String(n).padStart([5, 11, 9, 8][i])).join('')}`);
+      }
+      for (const s of families.values()) {
+        for (const sample of s.samples) console.log(`     ${sample}`);
+      }
+      for (const warning of sequences) console.log(`\n   ⚠️  ${warning}`);
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Preflight: wait for the services, introspect the schema, report drift
+//
+//   Runs before anything is scraped or written. Waits (up to --wait-timeout
+//   seconds) for PostgreSQL, Redis and the tables redstone's migrations
+//   create, then compares information_schema with SEED_COLUMNS. Missing
+//   tables, required columns the seed cannot fill and type mismatches stop
+//   the run with a summary; seed columns the table lacks are only skipped.
+//   insertRows() writes just the columns found here, so new nullable or
+//   defaulted columns need no seed changes.
+// ---------------------------------------------------------------------------
+
+const PREFLIGHT_TIMEOUT_MS = positiveArg('waitTimeout', 120, { zero: true }) * 1000;
+const PREFLIGHT_POLL_MS = 2000;
+
+// Columns the seed writes per table, with the kind of value it sends
+const SEED_COLUMNS = {
+  client: {
+    id: 'integer', username: 'text', nickname: 'text', email: 'text', password: 'text', role: 'text',
+    emailVerified: 'boolean', settings: 'json', createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+  tag: {
+    id: 'integer', name: 'text', slug: 'text', description: 'text', hierarchyPath: 'array', redirectToId: 'integer',
+    parentId: 'integer', status: 'text', createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+  event: {
+    id: 'integer', name: 'text', pinyin: 'text', description: 'text', status: 'text', needContributor: 'boolean',
+    ownerId: 'integer', parentId: 'integer', latestAdmittedNewsId: 'integer', createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+  stack: {
+    id: 'integer', title: 'text', description: 'text', status: 'text', order: 'integer', time: 'timestamp',
+    eventId: 'integer', stackEventId: 'integer', createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+  news: {
+    id: 'integer', url: 'text', source: 'text', title: 'text', abstract: 'text', time: 'timestamp', status: 'text',
+    comment: 'text', createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+  eventStackNews: { eventId: 'integer', stackId: 'integer', newsId: 'integer', createdAt: 'timestamp', updatedAt: 'timestamp' },
+  eventTag: { eventId: 'integer', tagId: 'integer', createdAt: 'timestamp', updatedAt: 'timestamp' },
+  headerImage: {
+    id: 'integer', imageUrl: 'text', source: 'text', sourceUrl: 'text', eventId: 'integer',
+    createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+  commit: {
+    id: 'integer', summary: 'text', data: 'json', isForkCommit: 'boolean', time: 'timestamp', authorId: 'integer',
+    eventId: 'integer', createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+  acl_users: { key: 'text', value: 'text', createdAt: 'timestamp', updatedAt: 'timestamp' },
+  acl_roles: { key: 'text', value: 'text', createdAt: 'timestamp', updatedAt: 'timestamp' },
+  star: { clientId: 'integer', eventId: 'integer', createdAt: 'timestamp', updatedAt: 'timestamp' },
+  subscription: {
+    mode: 'text', status: 'text', subscriber: 'integer', eventId: 'integer', createdAt: 'timestamp', updatedAt: 'timestamp',
+  },
+};
+
+// Tables the seed fills only when they exist and match; otherwise skipped
+const OPTIONAL_SEED_TABLES = new Set(['subscription']);
+
+let liveColumns = null; // table → Set of column names, filled by preflight()
+
+/** Kind of value a column accepts, in SEED_COLUMNS terms. Enums take text. */
+function columnKind({ data_type: type }) {
+  if (['smallint', 'integer', 'bigint'].includes(type)) return 'integer';
+  if (['text', 'character varying', 'character', 'USER-DEFINED'].includes(type)) return 'text';
+  if (type.startsWith('timestamp') || type === 'date') return 'timestamp';
+  if (type === 'json' || type === 'jsonb') return 'json';
+  if (type === 'ARRAY') return 'array';
+  return type;
+}
+
+/** Call `attempt` until it resolves or PREFLIGHT_TIMEOUT_MS runs out. */
+async function waitFor(label, attempt) {
+  const deadline = Date.now() + PREFLIGHT_TIMEOUT_MS;
+  for (let tries = 1; ; tries++) {
+    try {
+      return await attempt();
+    } catch (err) {
+      if (Date.now() + PREFLIGHT_POLL_MS > deadline) {
+        throw new Error(`Timed out after ${PREFLIGHT_TIMEOUT_MS / 1000}s waiting for ${label}: ${err.message}`);
+      }
+      if (tries === 1) console.log(`   … waiting for ${label} (${err.message})`);
+      await sleep(PREFLIGHT_POLL_MS);
+    }
+  }
+}
+
+/** A connected pg Client, once PostgreSQL accepts connections. */
+function waitForPostgres(config = pgConfig) {
+  return waitFor(`PostgreSQL at ${config.host}:${config.port}`, async () => {
+    const client = new Client(config);
+    client.on('error', () => {});
+    try {
+      await client.connect();
+      return client;
+    } catch (err) {
+      await client.end().catch(() => {});
+      throw err;
+    }
+  });
+}
+
+/** information_schema rows for the seed tables: table → Map(column → row). */
+async function introspectColumns(pg) {
+  const { rows } = await pg.query(
+    `SELECT table_name, column_name, data_type, is_nullable, column_default, is_identity
+       FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = ANY($1::text[])
+      ORDER BY table_name, ordinal_position`,
+    [Object.keys(SEED_COLUMNS)]
+  );
+  const tables = new Map();
+  for (const row of rows) {
+    if (!tables.has(row.table_name)) tables.set(row.table_name, new Map());
+    tables.get(row.table_name).set(row.column_name, row);
+  }
+  return tables;
+}
+
+/**
+ * Compare the live schema with SEED_COLUMNS: { errors, warnings, extras,
+ * skipped }. Problems with an optional table only skip that table.
+ */
+function describeSchemaDrift(tables) {
+  const errors = [];
+  const warnings = [];
+  const skipped = new Set();
+  let extras = 0;
+  for (const [table, expected] of Object.entries(SEED_COLUMNS)) {
+    const problems = [];
+    const columns = tables.get(table);
+    if (!columns) {
+      problems.push(`table "${table}" does not exist`);
+    } else {
+      for (const [name, kind] of Object.entries(expected)) {
+        const column = columns.get(name);
+        if (!column) {
+          warnings.push(`${table}.${name} is not in the table; the seed's values are skipped`);
+        } else if (columnKind(column) !== kind) {
+          problems.push(`${table}.${name} is ${column.data_type}, but the seed writes ${kind}`);
+        }
+      }
+      for (const [name, column] of columns) {
+        if (expected[name]) continue;
+        const required = column.is_nullable === 'NO' && column.column_default == null && column.is_identity !== 'YES';
+        if (required) problems.push(`${table}.${name} (${column.data_type}) is NOT NULL without a default, and the seed does not fill it`);
+        else extras++;
+      }
+    }
+    if (problems.length > 0 && OPTIONAL_SEED_TABLES.has(table)) {
+      skipped.add(table);
+      warnings.push(`${problems.join('; ')} — ${table} rows are not seeded`);
+    } else {
+      errors.push(...problems);
+    }
+  }
+  return { errors, warnings, extras, skipped };
+}
+
+/**
+ * Wait for PostgreSQL, Redis and the seed tables, then check the schema.
+ * Throws after printing the drift summary when seeding cannot succeed.
+ */
+async function preflight() {
+  console.log('🩺 Preflight checks...');
+  const pg = await waitForPostgres();
+  console.log('   ✓ PostgreSQL reachable');
+
+  try {
+    await waitFor(`Redis at ${redisConfig.host}:${redisConfig.port}`, async () => {
+      const rd = new Redis({ ...redisConfig, lazyConnect: true, maxRetriesPerRequest: 0, retryStrategy: () => null });
+      rd.on('error', () => {});
+      try {
+        await rd.connect();
+        await rd.ping();
+      } finally {
+        rd.disconnect();
+      }
+    });
+    console.log('   ✓ Redis reachable');
+
+    const tables = await waitFor('the redstone tables (have the migrations run?)', async () => {
+      const found = await introspectColumns(pg);
+      const missing = Object.keys(SEED_COLUMNS).filter((t) => !found.has(t) && !OPTIONAL_SEED_TABLES.has(t));
+      if (missing.length > 0) throw new Error(`missing ${missing.join(', ')}`);
+      return found;
+    }).catch(async (err) => {
+      console.log(`   ✗ ${err.message}`);
+      return introspectColumns(pg);
+    });
+
+    const { errors, warnings, extras, skipped } = describeSchemaDrift(tables);
+    for (const warning of warnings) console.log(`   ⚠️  ${warning}`);
+    if (errors.length > 0) {
+      console.log('\n❌ Schema drift — the seed cannot write these tables as they are:');
+      for (const error of errors) console.log(`   - ${error}`);
+      throw new Error(`Preflight failed with ${errors.length} schema problem(s); update SEED_COLUMNS and the inserts in seed.js`);
+    }
+    console.log(`   ✓ ${tables.size - skipped.size} tables match${extras ? ` (${extras} extra nullable/defaulted column(s) left to their defaults)` : ''}`);
+    liveColumns = new Map([...tables]
+      .filter(([table]) => !skipped.has(table))
+      .map(([table, columns]) => [table, new Set(columns.keys())]));
+  } finally {
+    await pg.end();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Phase 2 + 3: Insert into database
+// ---------------------------------------------------------------------------
+
+async function seedDatabase(data) {
+  const { events, stacks, news, headerImages, eventStackNews, eventTags } = data;
+  const { tags, problems: tagProblems } = resolveTagHierarchy(data.tags);
+  const eventRoles = data.eventRoles || [];
+  const contributions = data.contributions || new Map();
+  const pg = new Client(pgConfig);
+  await pg.connect();
+  console.log('\n🗄️  Connected to PostgreSQL');
+
+  try {
+    await pg.query('BEGIN');
+
+    if (RESET) {
+      console.log('\n🧹 Resetting seeded tables...');
+      await resetTables(pg);
+    }
+
+    // ------------------------------------------------------------------
+    // 2a. Create admin account (ID 1)
+    // ------------------------------------------------------------------
+    const hashedPw = await bcrypt.hash(PASSWORD, data.passwordSalt || SALT_ROUNDS);
+    const now = data.now || new Date().toISOString();
+
+    console.log('\n👤 Creating admin account (surge)...');
+    await insertRows(pg, 'client', [
+      {
+        ...ADMIN_CLIENT, email: 'surge@local', password: hashedPw,
+        role: 'admin', emailVerified: true, settings: '{}', createdAt: now, updatedAt: now,
+      },
+    ], { upsert: UPSERT });
+
+    // ------------------------------------------------------------------
+    // 2b. Create pseudo users with pseudonyms for every unique owner and
+    //     contributor ID
+    // ------------------------------------------------------------------
+    await assignReaderIds(pg, data);
+    const pseudoUsers = buildPseudoUsers(data);
+
+    console.log(`👥 Creating ${pseudoUsers.length} pseudo user(s)...`);
+    // Readers are plain users like the `user` persona role: the column's
+    // default, but outside the contributors group (see 4a)
+    const clientRows = pseudoUsers.map(({ id, username, nickname, reader }) => {
+      console.log(`   ${id} → ${nickname} (@${username})`);
+      return {
+        id, username, nickname, email: `${username}@local`, password: hashedPw,
+        role: reader ? PERSONA_ROLES.user.clientRole : 'contributor', emailVerified: true, settings: '{}', createdAt: now, updatedAt: now,
+      };
+    });
+    await insertRows(pg, 'client', clientRows, { upsert: UPSERT });
+
+    // ------------------------------------------------------------------
+    // 2c. Persona accounts (--personas). A persona keeps the ID of the
+    //     client already holding its username; new ones go above MAX(id).
+    //     Their rows are always rewritten so the declared password works.
+    // ------------------------------------------------------------------
+    data.personaUsers = [];
+    if (data.personas && data.personas.length > 0) {
+      console.log(`🎭 Creating ${data.personas.length} persona(s)...`);
+      const pseudoIds = new Set(pseudoUsers.map((u) => u.id));
+      const pseudoNames = new Set(pseudoUsers.map((u) => u.username));
+      const { rows: stored } = await pg.query(
+        'SELECT id, username FROM client WHERE username = ANY($1::text[])',
+        [data.personas.map((p) => p.username)]
+      );
+      const storedIds = new Map(stored.map((r) => [r.username, r.id]));
+      const { rows: [{ maxId }] } = await pg.query('SELECT COALESCE(MAX(id), 0) AS "maxId" FROM client');
+      let nextId = Math.max(+maxId, 1, ...pseudoIds) + 1;
+      const personaRows = [];
+      for (const persona of data.personas) {
+        if (pseudoNames.has(persona.username)) {
+          throw new Error(`Persona "${persona.username}" has the username of a pseudo user; pick another one`);
+        }
+        const id = storedIds.get(persona.username) || nextId++;
+        if (pseudoIds.has(id)) {
+          throw new Error(`Persona "${persona.username}" has ID ${id}, which this dataset uses for a pseudo user; reseed with --reset`);
+        }
+        data.personaUsers.push({ ...persona, id });
+        personaRows.push({
+          id, username: persona.username, nickname: persona.nickname, email: persona.email,
+          password: await bcrypt.hash(persona.password, data.passwordSalt || SALT_ROUNDS),
+          role: PERSONA_ROLES[persona.role].clientRole, emailVerified: true, settings: '{}', createdAt: now, updatedAt: now,
+        });
+        console.log(`   ${id} → @${persona.username} (${persona.role})`);
+      }
+      await insertRows(pg, 'client', personaRows, { upsert: true });
+    }
+
+    // Sync client sequence
+    const clientSeq = await syncSequence(pg, 'client');
+    console.log(`   ✓ client_id_seq synced to ${clientSeq}`);
+
+    // ------------------------------------------------------------------
+    // 3. Pinyin for events and slugs for tags that came without one, set
+    //    on the objects so rows, commit snapshots and caches all agree
+    // ------------------------------------------------------------------
+    const filledPinyin = await fillMissingIdentifiers(pg, 'event', events);
+    const filledSlugs = await fillMissingIdentifiers(pg, 'tag', tags);
+    if (filledPinyin.length + filledSlugs.length > 0) {
+      console.log(`\n🔤 Generated pinyin for ${filledPinyin.length} event(s) and slugs for ${filledSlugs.length} tag(s)`);
+      const renamed = [
+        ...filledPinyin.filter((f) => f.value !== f.wanted).map((f) => `event ${f.id}: "${f.wanted}" is taken, using "${f.value}"`),
+        ...filledSlugs.filter((f) => f.value !== f.wanted).map((f) => `tag ${f.id}: "${f.wanted}" is taken, using "${f.value}"`),
+      ];
+      for (const line of renamed.slice(0, 10)) console.log(`   ${line}`);
+      if (renamed.length > 10) console.log(`   … and ${renamed.length - 10} more`);
+    }
+
+    // ------------------------------------------------------------------
     // 3a. Tags
+    //     Parents and redirect targets come first, so the rows would
+    //     satisfy a real foreign key
     // ------------------------------------------------------------------
     console.log(`\n🏷️  Inserting ${tags.size} tags...`);
-    for (const [, t] of tags) {
-      await pg.query(
-        `INSERT INTO tag (id, name, slug, description, "hierarchyPath", "redirectToId", "parentId", status, "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-         ON CONFLICT (id) DO NOTHING`,
-        [
-          t.id,
-          t.name,
-          t.slug || null,
-          t.description || null,
-          t.hierarchyPath || null,
-          t.redirectToId || null,
-          t.parentId || null,
-          t.status || 'visible',
-          t.createdAt || now,
-          t.updatedAt || now,
-        ]
+    for (const problem of tagProblems) console.log(`   ⚠️  ${problem}`);
+    await insertRows(pg, 'tag', [...tags.values()].map((t) => ({
+      id: t.id,
+      name: t.name,
+      slug: t.slug || null,
+      description: t.description || null,
+      hierarchyPath: t.hierarchyPath,
+      redirectToId: t.redirectToId || null,
+      parentId: t.parentId || null,
+      status: t.status || 'visible',
+      createdAt: t.createdAt || now,
+      updatedAt: t.updatedAt || now,
+    })), { upsert: UPSERT });
+    await syncSequence(pg, 'tag');
+
+    // ------------------------------------------------------------------
+    // 3b. Events (latestAdmittedNewsId = NULL initially)
+    // ------------------------------------------------------------------
+    console.log(`📰 Inserting ${events.size} events...`);
+    await insertRows(pg, 'event', [...events.values()].map((e) => ({
+      id: e.id,
+      name: e.name,
+      pinyin: e.pinyin || null,
+      description: e.description || null,
+      status: eventStatus(e),
+      needContributor: e.needContributor || false,
+      ownerId: e.ownerId || 1,
+      parentId: e.parentId || null,
+      createdAt: e.createdAt || now,
+      updatedAt: e.updatedAt || now,
+    })), { upsert: UPSERT });
+    await syncSequence(pg, 'event');
+
+    // ------------------------------------------------------------------
+    // 3c. Stacks
+    // ------------------------------------------------------------------
+    console.log(`📚 Inserting ${stacks.size} stacks...`);
+    await insertRows(pg, 'stack', [...stacks.values()].map((s) => ({
+      id: s.id,
+      title: s.title,
+      description: s.description || null,
+      status: s.status || 'pending',
+      order: s.order != null ? s.order : -1,
+      time: s.time || null,
+      eventId: s.eventId,
+      stackEventId: s.stackEventId || null,
+      createdAt: s.createdAt || now,
+      updatedAt: s.updatedAt || now,
+    })), { upsert: UPSERT });
+    await syncSequence(pg, 'stack');
+
+    // ------------------------------------------------------------------
+    // 3d. News
+    // ------------------------------------------------------------------
+    console.log(`📄 Inserting ${news.size} news...`);
+    await insertRows(pg, 'news', [...news.values()].map((n) => ({
+      id: n.id,
+      url: n.url,
+      source: n.source || '',
+      title: n.title || '',
+      abstract: n.abstract || null,
+      time: n.time || now,
+      status: n.status || 'pending',
+      comment: n.comment || null,
+      createdAt: n.createdAt || now,
+      updatedAt: n.updatedAt || now,
+    })), { upsert: UPSERT });
+    await syncSequence(pg, 'news');
+
+    // ------------------------------------------------------------------
+    // 3e. EventStackNews (join table). Off-shelf news is linked to its
+    //     event with stackId NULL
+    // ------------------------------------------------------------------
+    await dropBogusEventStackNewsConstraint(pg);
+    const offshelfCount = eventStackNews.filter((esn) => esn.stackId == null).length;
+    console.log(`🔗 Inserting ${eventStackNews.length} event-stack-news links (${offshelfCount} off-shelf)...`);
+    await insertRows(pg, 'eventStackNews', eventStackNews.map((esn) => ({
+      eventId: esn.eventId,
+      stackId: esn.stackId,
+      newsId: esn.newsId,
+      createdAt: now,
+      updatedAt: now,
+    })), { key: ['eventId', 'newsId'], upsert: UPSERT });
+
+    // ------------------------------------------------------------------
+    // 3f. EventTag (join table)
+    // ------------------------------------------------------------------
+    console.log(`🏷️  Inserting ${eventTags.length} event-tag links...`);
+    await insertRows(pg, 'eventTag', eventTags.map((et) => ({
+      eventId: et.eventId,
+      tagId: et.tagId,
+      createdAt: now,
+      updatedAt: now,
+    })), { key: ['eventId', 'tagId'], upsert: UPSERT });
+
+    // ------------------------------------------------------------------
+    // 3g. HeaderImages
+    // ------------------------------------------------------------------
+    console.log(`🖼️  Inserting ${headerImages.length} header images...`);
+    await insertRows(pg, 'headerImage', headerImages.map((h) => ({
+      id: h.id,
+      imageUrl: h.imageUrl,
+      source: h.source,
+      sourceUrl: h.sourceUrl,
+      eventId: h.eventId,
+      createdAt: h.createdAt || now,
+      updatedAt: h.updatedAt || now,
+    })), { upsert: UPSERT });
+    await syncSequence(pg, 'headerImage');
+    if (data.mirroredImages) await rewriteMirroredImageUrls(pg, data.mirroredImages);
+
+    // ------------------------------------------------------------------
+    // 3h. Update events with latestAdmittedNewsId (only if the news exists)
+    // ------------------------------------------------------------------
+    console.log(`🔄 Updating latestAdmittedNewsId for events...`);
+    const latestNewsUpdates = [];
+    const missingLatestNews = [];
+    for (const [, e] of events) {
+      if (e.latestAdmittedNewsId) {
+        if (news.has(e.latestAdmittedNewsId)) {
+          latestNewsUpdates.push([e.id, e.latestAdmittedNewsId]);
+        } else {
+          missingLatestNews.push(e);
+        }
+      }
+    }
+    await updateColumnById(pg, 'event', 'latestAdmittedNewsId', latestNewsUpdates);
+    console.log(`   ✓ Updated ${latestNewsUpdates.length}, skipped ${missingLatestNews.length} (news not in scraped data)`);
+    for (const e of missingLatestNews.slice(0, 10)) {
+      console.log(`   ⚠ Event ${e.id}: latestAdmittedNewsId ${e.latestAdmittedNewsId} left NULL`);
+    }
+    if (missingLatestNews.length > 10) console.log(`   … and ${missingLatestNews.length - 10} more`);
+
+    // ------------------------------------------------------------------
+    // 3i. Create commit records (required for event list API)
+    //     Each event gets a chronological history: a creation commit, then
+    //     one commit per added stack / batch of news. The last commit is
+    //     the full snapshot of the event as scraped.
+    // ------------------------------------------------------------------
+    console.log(`📝 Creating commit history for ${events.size} events...`);
+    // Index everything by event once so building each snapshot is linear
+    const stacksByEvent = groupBy(stacks.values(), (s) => s.eventId);
+    const newsIdsByStack = groupBy(eventStackNews, (esn) => `${esn.eventId}:${esn.stackId}`);
+    const offshelfByEvent = groupBy(eventStackNews.filter((esn) => esn.stackId == null), (esn) => esn.eventId);
+    const tagIdsByEvent = groupBy(eventTags, (et) => et.eventId);
+    const rolesByEvent = groupBy(eventRoles, (r) => r.eventId);
+    const clientById = new Map([ADMIN_CLIENT, ...pseudoUsers].map((c) => [c.id, c]));
+    const headerImageByEvent = new Map();
+    for (const h of headerImages) {
+      if (!headerImageByEvent.has(h.eventId)) headerImageByEvent.set(h.eventId, h);
+    }
+    const nowMs = Date.parse(now);
+    const iso = (ms) => new Date(ms).toISOString();
+
+    // Commit IDs continue after what is already stored. Events that already
+    // have commits keep them; with --upsert they get a new commit on top when
+    // their snapshot has changed.
+    const { rows: [{ maxId }] } = await pg.query('SELECT COALESCE(MAX(id), 0) AS "maxId" FROM commit');
+    const { rows: existingCommits } = await pg.query(
+      `SELECT DISTINCT ON ("eventId") "eventId", data FROM commit
+       WHERE "eventId" = ANY($1::integer[])
+       ORDER BY "eventId", time DESC, id DESC`,
+      [[...events.keys()]]
+    );
+    const latestCommitData = new Map(existingCommits.map((c) => [c.eventId, c.data]));
+
+    const commitRows = [];
+    let commitId = +maxId + 1;
+    let unchangedCount = 0;
+    let staleCount = 0; // changed upstream, but only --upsert adds a commit
+    let historyEvents = 0;
+    for (const [eventId, e] of events) {
+      const eventStacks = (stacksByEvent.get(eventId) || [])
+        .slice()
+        .sort((a, b) => (a.order ?? -1) - (b.order ?? -1))
+        .map((s) => {
+          const stackNews = (newsIdsByStack.get(`${eventId}:${s.id}`) || [])
+            .map((esn) => news.get(esn.newsId))
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.time || 0) - new Date(a.time || 0));
+          return { ...s, news: stackNews };
+        });
+
+      const eventTagsList = (tagIdsByEvent.get(eventId) || [])
+        .map((et) => tags.get(et.tagId))
+        .filter(Boolean);
+
+      // Build owner object (matches what EventService.findEvent includes)
+      const ownerId = e.ownerId || 1;
+      const ownerObj = clientById.has(ownerId) ? publicClient(clientById.get(ownerId)) : null;
+
+      // Editors and managers take turns authoring the history with the owner
+      const editorIds = (rolesByEvent.get(eventId) || [])
+        .filter((r) => r.role !== 'view')
+        .map((r) => r.clientId)
+        .sort((a, b) => a - b);
+      const authorIds = [ownerId, ...editorIds];
+      const contribution = (contributions.get(eventId) || [])
+        .map((entry) => pseudonymizeContribution(entry, clientById));
+
+      const snapshotParts = {
+        tags: eventTagsList,
+        headerImage: headerImageByEvent.get(eventId) || null,
+        owner: ownerObj,
+        now,
+      };
+      const finalSnapshot = buildEventSnapshot(e, {
+        ...snapshotParts,
+        contributors: editorIds.map((id) => publicClient(clientById.get(id))),
+        contribution,
+        stacks: eventStacks,
+        offshelfNews: (offshelfByEvent.get(eventId) || [])
+          .map((esn) => news.get(esn.newsId))
+          .filter(Boolean)
+          .sort((a, b) => new Date(b.time || 0) - new Date(a.time || 0)),
+        latestNews: e.latestAdmittedNewsId && news.has(e.latestAdmittedNewsId)
+          ? news.get(e.latestAdmittedNewsId)
+          : null,
+        updatedAt: e.updatedAt,
+      });
+
+      const commitRow = (summary, data, ms, authorId = ownerId) => ({
+        id: commitId++,
+        summary,
+        data: JSON.stringify(data),
+        isForkCommit: false,
+        time: iso(ms),
+        authorId,
+        eventId,
+        createdAt: iso(ms),
+        updatedAt: iso(ms),
+      });
+
+      if (latestCommitData.has(eventId)) {
+        if (stableStringify(latestCommitData.get(eventId)) === stableStringify(finalSnapshot)) {
+          unchangedCount++;
+        } else if (UPSERT) {
+          commitRows.push(commitRow('Seed refresh', finalSnapshot, nowMs));
+        } else {
+          staleCount++;
+        }
+        continue;
+      }
+
+      // Replay stacks and news; `visible` maps stackId → Set of newsIds so far
+      const createdMs = toMs(e.createdAt, nowMs);
+      const steps = [{ ms: createdMs, summary: `Created event "${e.name}"`, stacks: [], news: [] },
+        ...planEventHistory(eventStacks, createdMs)];
+      const visible = new Map();
+      const authorsSoFar = new Set();
+      steps.forEach((step, i) => {
+        // Keep commit times strictly increasing so "latest commit" is unambiguous
+        if (i > 0) step.ms = Math.max(step.ms, steps[i - 1].ms + 1000);
+        for (const stack of step.stacks) visible.set(stack.id, new Set());
+        for (const { stackId, item } of step.news) visible.get(stackId).add(item.id);
+        const authorId = authorIds[i % authorIds.length];
+        authorsSoFar.add(authorId);
+
+        if (i === steps.length - 1) {
+          commitRows.push(commitRow(step.summary, finalSnapshot, Math.max(step.ms, toMs(e.updatedAt, step.ms)), authorId));
+          return;
+        }
+        const stacksSoFar = eventStacks
+          .filter((s) => visible.has(s.id))
+          .map((s) => ({ ...s, news: s.news.filter((n) => visible.get(s.id).has(n.id)) }));
+        const newsSoFar = stacksSoFar.flatMap((s) => s.news).filter((n) => (n.status || 'admitted') === 'admitted');
+        const latestNews = newsSoFar.reduce((a, b) => (!a || toMs(b.time, 0) > toMs(a.time, 0) ? b : a), null);
+        const contributorsSoFar = editorIds.filter((id) => authorsSoFar.has(id));
+        commitRows.push(commitRow(step.summary, buildEventSnapshot(e, {
+          ...snapshotParts,
+          contributors: contributorsSoFar.map((id) => publicClient(clientById.get(id))),
+          contribution: contribution.filter((c) => contributorsSoFar.includes(referencedClientId(c, false))),
+          stacks: stacksSoFar,
+          latestNews,
+          updatedAt: iso(step.ms),
+        }), step.ms, authorId));
+      });
+      historyEvents++;
+    }
+    await insertRows(pg, 'commit', commitRows);
+    await syncSequence(pg, 'commit');
+    console.log(`   ✓ Created ${commitRows.length} commits for ${historyEvents} events` +
+      ` (${unchangedCount} events already up to date)`);
+    if (staleCount > 0) console.log(`   ⚠️  ${staleCount} events changed, not updated (use --upsert)`);
+
+    // ------------------------------------------------------------------
+    // 3j. Stars and subscriptions: one row per follower, spread over the
+    //     admin and pseudo users so each event's count matches the API
+    // ------------------------------------------------------------------
+    console.log('⭐ Creating stars and subscriptions...');
+    const followerPool = [1, ...pseudoUsers.map((u) => u.id)];
+    const followerRows = (counts, offset, row) => [...(counts || new Map())]
+      .filter(([eventId]) => events.has(eventId))
+      .flatMap(([eventId, count]) => {
+        const e = events.get(eventId);
+        const n = Math.min(count, followerPool.length);
+        return Array.from({ length: n }, (_, k) =>
+          row(followerPool[(eventId + offset + k) % followerPool.length], eventId, e.createdAt || now));
+      });
+    // The tables need not have a unique (client, event) constraint, so rows
+    // already there are filtered out here rather than left to ON CONFLICT
+    const newFollowerRows = async (table, clientColumn, rows) => {
+      const { rows: stored } = await pg.query(
+        `SELECT ${quoteIdent(clientColumn)} AS "clientId", "eventId" FROM ${quoteIdent(table)} WHERE "eventId" = ANY($1::int[])`,
+        [[...events.keys()]]
       );
+      const existing = new Set(stored.map((r) => `${r.clientId}:${r.eventId}`));
+      return rows.filter((r) => !existing.has(`${r[clientColumn]}:${r.eventId}`));
+    };
+    const starRows = await newFollowerRows('star', 'clientId', followerRows(data.starCounts, 0,
+      (clientId, eventId, createdAt) => ({ clientId, eventId, createdAt, updatedAt: createdAt })));
+    await insertRows(pg, 'star', starRows, { key: ['clientId', 'eventId'] });
+    if (liveColumns && !liveColumns.has('subscription')) {
+      console.log(`   ✓ ${starRows.length} stars (no subscription table; subscriptions skipped)`);
+    } else {
+      const subscriptionRows = await newFollowerRows('subscription', 'subscriber', followerRows(
+        data.subscriptionCounts, Math.ceil(followerPool.length / 2), (subscriber, eventId, createdAt) => ({
+          subscriber, eventId, mode: 'EveryNewStack', status: 'active', createdAt, updatedAt: createdAt,
+        })));
+      await insertRows(pg, 'subscription', subscriptionRows, { key: ['subscriber', 'eventId'] });
+      console.log(`   ✓ ${starRows.length} stars, ${subscriptionRows.length} subscriptions`);
+    }
+    // The star-count cache is set from what the table holds, not the API's numbers
+    const { rows: starTotals } = await pg.query(
+      'SELECT "eventId", COUNT(*)::int AS count FROM star WHERE "eventId" = ANY($1::int[]) GROUP BY "eventId"',
+      [[...events.keys()]]
+    );
+    data.storedStarCounts = new Map(starTotals.map((r) => [r.eventId, r.count]));
+
+    if (dryRun) {
+      await pg.query('ROLLBACK');
+      console.log('\n✅ Seed simulated (rolled back)');
+    } else {
+      await pg.query('COMMIT');
+      console.log('\n✅ Seed complete!');
     }
-    if (tags.size > 0) {
-      const maxTagId = Math.max(...[...tags.keys()]);
-      await pg.query(`SELECT setval('tag_id_seq', $1, true)`, [maxTagId]);
+  } catch (err) {
+    await pg.query('ROLLBACK');
+    console.error('\n❌ Seed failed — rolled back');
+    throw err;
+  } finally {
+    await pg.end();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Phase 4: Seed Redis (ACL roles, caches)
+// ---------------------------------------------------------------------------
+
+/** Union each row's JSON array `value` with the one already stored. */
+async function mergeAclValues(pg, table, rows) {
+  if (rows.length === 0) return;
+  const { rows: stored } = await pg.query(
+    `SELECT key, value FROM ${quoteIdent(table)} WHERE key = ANY($1::text[])`,
+    [rows.map((r) => r.key)]
+  );
+  const storedByKey = new Map(stored.map((r) => [r.key, r.value]));
+  for (const row of rows) {
+    if (!storedByKey.has(row.key)) continue;
+    let previous = storedByKey.get(row.key);
+    try {
+      previous = typeof previous === 'string' ? JSON.parse(previous) : previous;
+    } catch {
+      previous = [];
+    }
+    if (!Array.isArray(previous)) continue;
+    const merged = new Set([...previous.map(String), ...JSON.parse(row.value)]);
+    row.value = JSON.stringify([...merged]);
+  }
+}
+
+/**
+ * The allow and role-parent sets setClientEventOwner() creates for an event,
+ * as [key, ...members].
+ */
+function eventAclEntries(eventId) {
+  const viewRole = `event-${eventId}-view-role`;
+  const editRole = `event-${eventId}-edit-role`;
+  const manageRole = `event-${eventId}-manage-role`;
+  const ownerRole = `event-${eventId}-owner-role`;
+  const resource = `event-${eventId}`;
+  return [
+    // allow(viewRole, resource, 'view')
+    [`${ACL_PREFIX}_allows_${viewRole}@${resource}`, 'view'],
+    // allow(editRole, resource, ['edit', 'makeCommit'])
+    [`${ACL_PREFIX}_allows_${editRole}@${resource}`, 'edit', 'makeCommit'],
+    // addRoleParents(editRole, viewRole)
+    [`${ACL_PREFIX}_parents@${editRole}`, viewRole],
+    // allow(manageRole, resource, ['addViewer', 'removeViewer', 'addEditor', 'removeEditor'])
+    [`${ACL_PREFIX}_allows_${manageRole}@${resource}`, 'addViewer', 'removeViewer', 'addEditor', 'removeEditor'],
+    // addRoleParents(manageRole, editRole)
+    [`${ACL_PREFIX}_parents@${manageRole}`, editRole],
+    // addRoleParents(ownerRole, manageRole)
+    [`${ACL_PREFIX}_parents@${ownerRole}`, manageRole],
+  ];
+}
+
+/** The allow set allowClientToEditRole(uid, uid) creates, as [key, ...members]. */
+function roleEditSelfEntry(uid) {
+  return [`${ACL_PREFIX}_allows_role-${uid}-edit-role@role-${uid}`, 'edit'];
+}
+
+async function seedRedis(data) {
+  const { events } = data;
+  const eventRoles = data.eventRoles || [];
+  const rd = new Redis(redisConfig);
+  const pg = new Client(pgConfig);
+  await pg.connect();
+  console.log('\n🔴 Connected to Redis + PostgreSQL for ACL seeding');
+  const batch = createRedisBatch(rd);
+
+  try {
+    if (dryRun) await pg.query('BEGIN');
+    const pseudoUsers = buildPseudoUsers(data);
+    const personaUsers = data.personaUsers || [];
+    const allUserIds = [1, ...pseudoUsers.map((u) => u.id), ...personaUsers.map((u) => u.id)];
+    const now = data.now || new Date().toISOString();
+
+    if (RESET) {
+      console.log('\n🧹 Deleting seeded Redis keys...');
+      console.log(`   ✓ ${await resetRedisKeys(rd)} keys ${dryRun ? 'would be ' : ''}deleted`);
     }
 
     // ------------------------------------------------------------------
-    // 3b. Events (latestAdmittedNewsId = NULL initially)
+    // 4a. ACL role assignments
+    //     The dual-write backend stores in both Redis and Postgres:
+    //       Redis:    SADD surge-acl_users@{userId} <roles...>
+    //       Postgres: acl_users (key=userId, value=JSON array of roles)
+    //       Redis:    SADD surge-acl_roles@{role} <userIds...>
+    //       Postgres: acl_roles (key=role, value=JSON array of userIds)
     // ------------------------------------------------------------------
-    console.log(`📰 Inserting ${events.size} events...`);
-    for (const [, e] of events) {
-      await pg.query(
-        `INSERT INTO event (id, name, pinyin, description, status, "needContributor", "ownerId", "parentId", "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-         ON CONFLICT (id) DO NOTHING`,
-        [
-          e.id,
-          e.name,
-          e.pinyin || null,
-          e.description || null,
-          e.status || 'pending',
-          e.needContributor || false,
-          e.ownerId || 1,
-          e.parentId || null,
-          e.createdAt || now,
-          e.updatedAt || now,
-        ]
-      );
+    console.log('\n🔑 Setting ACL role assignments...');
+
+    // Build user→roles and role→users maps
+    const userRolesMap = new Map(); // userId → Set of role strings
+    const roleUsersMap = new Map(); // roleName → Set of userId strings
+
+    // Admin: surge (id=1) → admins role
+    if (!userRolesMap.has(1)) userRolesMap.set(1, new Set());
+    userRolesMap.get(1).add('admins');
+    if (!roleUsersMap.has('admins')) roleUsersMap.set('admins', new Set());
+    roleUsersMap.get('admins').add('1');
+    console.log('   1 (surge) → admins');
+
+    // Contributors: owners and whoever the source lists as a contributor.
+    // Editors, managers and viewers only get their per-event role (4b-extra),
+    // readers are plain users
+    const groupIds = new Set([...data.ownerIds, ...(data.groupContributorIds || [])]);
+    const contributorUsers = pseudoUsers.filter((u) => groupIds.has(u.id));
+    for (const { id: oid } of contributorUsers) {
+      if (!userRolesMap.has(oid)) userRolesMap.set(oid, new Set());
+      userRolesMap.get(oid).add('contributors');
+      if (!roleUsersMap.has('contributors')) roleUsersMap.set('contributors', new Set());
+      roleUsersMap.get('contributors').add(String(oid));
     }
-    if (events.size > 0) {
-      const maxEventId = Math.max(...[...events.keys()]);
-      await pg.query(`SELECT setval('event_id_seq', $1, true)`, [maxEventId]);
+    console.log(`   ${contributorUsers.length} pseudo users → contributors`);
+
+    // Personas join the group of their declared role (plain users none)
+    for (const { id: pid, username, role } of personaUsers) {
+      const { aclRole } = PERSONA_ROLES[role];
+      if (!aclRole) continue;
+      if (!userRolesMap.has(pid)) userRolesMap.set(pid, new Set());
+      userRolesMap.get(pid).add(aclRole);
+      if (!roleUsersMap.has(aclRole)) roleUsersMap.set(aclRole, new Set());
+      roleUsersMap.get(aclRole).add(String(pid));
+      console.log(`   ${pid} (${username}) → ${aclRole}`);
     }
 
     // ------------------------------------------------------------------
-    // 3c. Stacks
+    // 4b. ACL role-edit-self permissions
+    //     Mimics allowClientToEditRole(clientId, clientId):
+    //       allow('role-{id}-edit-role', 'role-{id}', ['edit'])
+    //       addUserRoles(clientId, 'role-{id}-edit-role')
     // ------------------------------------------------------------------
-    console.log(`📚 Inserting ${stacks.size} stacks...`);
-    for (const [, s] of stacks) {
-      await pg.query(
-        `INSERT INTO stack (id, title, description, status, "order", time, "eventId", "stackEventId", "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-         ON CONFLICT (id) DO NOTHING`,
-        [
-          s.id,
-          s.title,
-          s.description || null,
-          s.status || 'pending',
-          s.order != null ? s.order : -1,
-          s.time || null,
-          s.eventId,
-          s.stackEventId || null,
-          s.createdAt || now,
-          s.updatedAt || now,
-        ]
-      );
+    console.log('🔐 Setting role-edit-self permissions...');
+    for (const uid of allUserIds) {
+      const editRole = `role-${uid}-edit-role`;
+
+      // allow(editRole, `role-${uid}`, ['edit']) → Redis + PG permissions
+      await batch.add('sadd', ...roleEditSelfEntry(uid));
+
+      // addUserRoles(uid, editRole) → add to maps
+      if (!userRolesMap.has(uid)) userRolesMap.set(uid, new Set());
+      userRolesMap.get(uid).add(editRole);
+      if (!roleUsersMap.has(editRole)) roleUsersMap.set(editRole, new Set());
+      roleUsersMap.get(editRole).add(String(uid));
+    }
+    console.log(`   ✓ ${allUserIds.length} users`);
+
+    // ------------------------------------------------------------------
+    // 4b-extra. Event-owner ACL roles
+    //     For each event, assign the owner the event-owner-role so they
+    //     can edit/manage the event. This mimics setClientEventOwner().
+    //
+    //     Roles created per event:
+    //       event-{id}-view-role   → allow(role, event-{id}, 'view')
+    //       event-{id}-edit-role   → allow(role, event-{id}, ['edit','makeCommit'])
+    //                                addRoleParents(edit-role, view-role)
+    //       event-{id}-manage-role → allow(role, event-{id}, ['addViewer','removeViewer','addEditor','removeEditor'])
+    //                                addRoleParents(manage-role, edit-role)
+    //       event-{id}-owner-role  → addRoleParents(owner-role, manage-role)
+    //     Then: addUserRoles(ownerId, owner-role), and for every other
+    //     contributor addUserRoles(clientId, event-{id}-{view|edit|manage}-role)
+    //     as addEventViewer/addEventEditor/addEventManager would
+    // ------------------------------------------------------------------
+    console.log('📋 Setting event-owner ACL roles...');
+    for (const [eventId, e] of events) {
+      const ownerId = e.ownerId || 1;
+      const ownerRole = `event-${eventId}-owner-role`;
+      for (const [key, ...members] of eventAclEntries(eventId)) await batch.add('sadd', key, ...members);
+
+      // addUserRoles(ownerId, ownerRole)
+      if (!userRolesMap.has(ownerId)) userRolesMap.set(ownerId, new Set());
+      userRolesMap.get(ownerId).add(ownerRole);
+      if (!roleUsersMap.has(ownerRole)) roleUsersMap.set(ownerRole, new Set());
+      roleUsersMap.get(ownerRole).add(String(ownerId));
     }
-    if (stacks.size > 0) {
-      const maxStackId = Math.max(...[...stacks.keys()]);
-      await pg.query(`SELECT setval('stack_id_seq', $1, true)`, [maxStackId]);
+    for (const { eventId, clientId, role } of eventRoles) {
+      const eventRole = `event-${eventId}-${role}-role`;
+      if (!userRolesMap.has(clientId)) userRolesMap.set(clientId, new Set());
+      userRolesMap.get(clientId).add(eventRole);
+      if (!roleUsersMap.has(eventRole)) roleUsersMap.set(eventRole, new Set());
+      roleUsersMap.get(eventRole).add(String(clientId));
+    }
+    console.log(`   ✓ ${events.size} events, ${eventRoles.length} contributor grants`);
+
+    // Persona grants hook into the same per-event roles; the role graph
+    // above only exists for events in this seed
+    const personaGrants = personaUsers.flatMap((p) => p.grants.map((g) => ({ ...g, clientId: p.id, username: p.username })));
+    const skippedGrants = [];
+    for (const { eventId, permission, clientId, username } of personaGrants) {
+      if (!events.has(eventId)) {
+        skippedGrants.push(`${username}: ${permission} ${eventId}`);
+        continue;
+      }
+      const eventRole = `event-${eventId}-${permission}-role`;
+      if (!userRolesMap.has(clientId)) userRolesMap.set(clientId, new Set());
+      userRolesMap.get(clientId).add(eventRole);
+      if (!roleUsersMap.has(eventRole)) roleUsersMap.set(eventRole, new Set());
+      roleUsersMap.get(eventRole).add(String(clientId));
+    }
+    if (personaGrants.length > 0) {
+      console.log(`   ✓ ${personaGrants.length - skippedGrants.length} persona grants`);
+    }
+    if (skippedGrants.length > 0) {
+      console.log(`   ⚠️  Skipped persona grants on events not in this seed: ${skippedGrants.join(', ')}`);
     }
 
     // ------------------------------------------------------------------
-    // 3d. News
+    // Write user→roles to Redis and Postgres
     // ------------------------------------------------------------------
-    console.log(`📄 Inserting ${news.size} news...`);
-    for (const [, n] of news) {
-      await pg.query(
-        `INSERT INTO news (id, url, source, title, abstract, time, status, comment, "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-         ON CONFLICT (id) DO NOTHING`,
-        [
-          n.id,
-          n.url,
-          n.source || '',
-          n.title || '',
-          n.abstract || null,
-          n.time || now,
-          n.status || 'pending',
-          n.comment || null,
-          n.createdAt || now,
-          n.updatedAt || now,
-        ]
-      );
+    console.log('💾 Writing ACL user↔role mappings to Redis + Postgres...');
+    const aclUpsert = 'ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, "updatedAt" = EXCLUDED."updatedAt"';
+    const aclUserRows = [];
+    for (const [uid, roles] of userRolesMap) {
+      const rolesArr = [...roles];
+      // Redis
+      await batch.add('sadd', `${ACL_PREFIX}_users@${uid}`, ...rolesArr);
+      // Postgres acl_users
+      aclUserRows.push({ key: String(uid), value: JSON.stringify(rolesArr), createdAt: now, updatedAt: now });
     }
-    if (news.size > 0) {
-      const maxNewsId = Math.max(...[...news.keys()]);
-      await pg.query(`SELECT setval('news_id_seq', $1, true)`, [maxNewsId]);
+    const aclRoleRows = [];
+    for (const [role, uids] of roleUsersMap) {
+      const uidsArr = [...uids];
+      // Redis
+      await batch.add('sadd', `${ACL_PREFIX}_roles@${role}`, ...uidsArr);
+      // Postgres acl_roles
+      aclRoleRows.push({ key: role, value: JSON.stringify(uidsArr), createdAt: now, updatedAt: now });
     }
+    // Redis SADD only ever adds members, so merge the Postgres copies the
+    // same way instead of dropping roles granted locally
+    await mergeAclValues(pg, 'acl_users', aclUserRows);
+    await mergeAclValues(pg, 'acl_roles', aclRoleRows);
+    await insertRows(pg, 'acl_users', aclUserRows, { key: ['key'], onConflict: aclUpsert });
+    await insertRows(pg, 'acl_roles', aclRoleRows, { key: ['key'], onConflict: aclUpsert });
+    console.log(`   ✓ ${userRolesMap.size} users, ${roleUsersMap.size} roles`);
 
     // ------------------------------------------------------------------
-    // 3e. EventStackNews (join table)
+    // 4c. Client name lookup cache
+    //     Key: surge-client-name-mem-{username} → JSON stringified ID
     // ------------------------------------------------------------------
-    // Drop bogus UNIQUE constraint on eventId alone (Sequelize model bug).
-    // The table already has a composite PK on (eventId, newsId).
-    await pg.query(`
-      ALTER TABLE "eventStackNews"
-        DROP CONSTRAINT IF EXISTS "eventStackNews_eventId_key"
-    `);
-    console.log(`🔗 Inserting ${eventStackNews.length} event-stack-news links...`);
-    for (const esn of eventStackNews) {
-      await pg.query(
-        `INSERT INTO "eventStackNews" ("eventId", "stackId", "newsId", "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5)
-         ON CONFLICT DO NOTHING`,
-        [esn.eventId, esn.stackId, esn.newsId, now, now]
-      );
+    console.log('👤 Populating client name cache...');
+    await batch.add('set', `${REDIS_PREFIX}client-name-mem-surge`, JSON.stringify(1));
+    for (const { id, username } of [...pseudoUsers, ...personaUsers]) {
+      await batch.add('set', `${REDIS_PREFIX}client-name-mem-${username}`, JSON.stringify(id));
+    }
+    console.log(`   ✓ ${allUserIds.length} entries`);
+
+    // ------------------------------------------------------------------
+    // 4d. Event name lookup cache
+    //     Key: surge-event-name-mem-{eventname}@{ownerid} → JSON ID,
+    //     and the same under the event's pinyin
+    // ------------------------------------------------------------------
+    console.log('📰 Populating event name cache...');
+    let nameEntries = 0;
+    for (const [eventId, e] of events) {
+      for (const name of eventCacheNames(e)) {
+        await batch.add('set', `${REDIS_PREFIX}event-name-mem-${name}@${e.ownerId || 1}`, JSON.stringify(eventId));
+        nameEntries++;
+      }
     }
+    console.log(`   ✓ ${nameEntries} entries`);
 
     // ------------------------------------------------------------------
-    // 3f. EventTag (join table)
+    // 4e. Star count cache, from the star rows seedDatabase() counted
+    //     Key: surge-event-star-count-mem-{eventId} → "{count}"
     // ------------------------------------------------------------------
-    console.log(`🏷️  Inserting ${eventTags.length} event-tag links...`);
-    for (const et of eventTags) {
-      await pg.query(
-        `INSERT INTO "eventTag" ("eventId", "tagId", "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT DO NOTHING`,
-        [et.eventId, et.tagId, now, now]
+    console.log('⭐ Populating star count cache...');
+    const storedStarCounts = data.storedStarCounts || new Map();
+    for (const [eventId] of events) {
+      await batch.add('set', `${REDIS_PREFIX}event-star-count-mem-${eventId}`, String(storedStarCounts.get(eventId) || 0));
+    }
+    console.log(`   ✓ ${events.size} entries`);
+
+    await batch.flush();
+    if (dryRun) {
+      await pg.query('ROLLBACK');
+      console.log(`   ✓ ${batch.sent} Redis commands compared`);
+      console.log('\n✅ Redis + ACL seed simulated');
+    } else {
+      console.log(`   ✓ ${batch.sent} Redis commands sent in batches of ${REDIS_BATCH_SIZE}`);
+      console.log('\n✅ Redis + ACL seed complete!');
+    }
+  } finally {
+    rd.disconnect();
+    await pg.end();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Verify: audit the local state (./run.sh seed verify)
+//
+//   Cross-checks the three places the seed writes: relational rows, the
+//   JSON commit.data snapshots, and the Redis/Postgres ACL mirror.
+//   Exits non-zero when any check finds a problem.
+// ---------------------------------------------------------------------------
+
+// [table, column, referenced table] — none of these are real FKs in the schema
+const SEED_REFERENCES = [
+  ['stack', 'eventId', 'event'],
+  ['stack', 'stackEventId', 'event'],
+  ['event', 'parentId', 'event'],
+  ['event', 'ownerId', 'client'],
+  ['event', 'latestAdmittedNewsId', 'news'],
+  ['tag', 'parentId', 'tag'],
+  ['tag', 'redirectToId', 'tag'],
+  ['headerImage', 'eventId', 'event'],
+  ['eventStackNews', 'eventId', 'event'],
+  ['eventStackNews', 'stackId', 'stack'],
+  ['eventStackNews', 'newsId', 'news'],
+  ['eventTag', 'eventId', 'event'],
+  ['eventTag', 'tagId', 'tag'],
+  ['commit', 'eventId', 'event'],
+  ['star', 'eventId', 'event'],
+  ['star', 'clientId', 'client'],
+];
+
+// Tables whose `id` is backed by `{table}_id_seq`
+const SEQUENCE_TABLES = ['client', 'tag', 'event', 'stack', 'news', 'headerImage', 'commit'];
+
+const VERIFY_SAMPLE_SIZE = 10;
+
+/** SMEMBERS for many keys in pipelined batches → Map key → Set. */
+async function readRedisSets(rd, keys) {
+  const sets = new Map();
+  for (let i = 0; i < keys.length; i += REDIS_BATCH_SIZE) {
+    const chunk = keys.slice(i, i + REDIS_BATCH_SIZE);
+    const pipeline = rd.pipeline();
+    for (const key of chunk) pipeline.smembers(key);
+    const results = await pipeline.exec();
+    chunk.forEach((key, j) => sets.set(key, new Set(results[j][1] || [])));
+  }
+  return sets;
+}
+
+/** GET for many keys in pipelined batches → Map key → value (or null). */
+async function readRedisStrings(rd, keys) {
+  const values = new Map();
+  for (let i = 0; i < keys.length; i += REDIS_BATCH_SIZE) {
+    const chunk = keys.slice(i, i + REDIS_BATCH_SIZE);
+    const results = await rd.mget(...chunk);
+    chunk.forEach((key, j) => values.set(key, results[j]));
+  }
+  return values;
+}
+
+async function scanKeys(rd, pattern) {
+  const keys = [];
+  let cursor = '0';
+  do {
+    const [next, found] = await rd.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+    cursor = next;
+    keys.push(...found);
+  } while (cursor !== '0');
+  return keys;
+}
+
+/** `text` as a literal in a SCAN MATCH pattern. */
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+function parseAclValue(value) {
+  try {
+    const parsed = typeof value === 'string' ? JSON.parse(value) : value;
+    return new Set((Array.isArray(parsed) ? parsed : []).map(String));
+  } catch {
+    return new Set();
+  }
+}
+
+/** "+[a, b] -[c]" description of how `actual` differs from `expected`. */
+function describeSetDiff(expected, actual) {
+  const missing = [...expected].filter((x) => !actual.has(x));
+  const extra = [...actual].filter((x) => !expected.has(x));
+  const parts = [];
+  if (missing.length) parts.push(`missing [${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ', …' : ''}]`);
+  if (extra.length) parts.push(`extra [${extra.slice(0, 5).join(', ')}${extra.length > 5 ? ', …' : ''}]`);
+  return parts.join(' ');
+}
+
+async function checkReferences(pg) {
+  const problems = [];
+  for (const [table, column, target] of SEED_REFERENCES) {
+    if (!liveColumns.has(table) || !liveColumns.get(table).has(column)) continue; // not in this schema
+    const { rows } = await pg.query(
+      `SELECT c.${quoteIdent(column)} AS ref, COUNT(*) AS count
+       FROM ${quoteIdent(table)} c
+       LEFT JOIN ${quoteIdent(target)} t ON t.id = c.${quoteIdent(column)}
+       WHERE c.${quoteIdent(column)} IS NOT NULL AND t.id IS NULL
+       GROUP BY 1 ORDER BY 1`
+    );
+    if (rows.length === 0) continue;
+    const total = rows.reduce((sum, r) => sum + +r.count, 0);
+    const sample = rows.slice(0, VERIFY_SAMPLE_SIZE).map((r) => r.ref).join(', ');
+    problems.push(`${table}.${column} → ${target}: ${total} row(s) point at missing id(s) ${sample}${rows.length > VERIFY_SAMPLE_SIZE ? ', …' : ''}`);
+  }
+  // Every news item belongs to an event, in a stack or off-shelf
+  const { rows: orphans } = await pg.query(
+    `SELECT n.id FROM news n
+     WHERE NOT EXISTS (SELECT 1 FROM "eventStackNews" esn WHERE esn."newsId" = n.id)
+     ORDER BY n.id`
+  );
+  if (orphans.length) {
+    const sample = orphans.slice(0, VERIFY_SAMPLE_SIZE).map((r) => r.id).join(', ');
+    problems.push(`news: ${orphans.length} row(s) linked to no event: ${sample}${orphans.length > VERIFY_SAMPLE_SIZE ? ', …' : ''}`);
+  }
+  return problems;
+}
+
+async function checkSequences(pg) {
+  const problems = [];
+  for (const table of SEQUENCE_TABLES) {
+    const seq = `${table}_id_seq`;
+    const { rows: [row] } = await pg.query(
+      `SELECT (SELECT COALESCE(MAX(id), 0) FROM ${quoteIdent(table)}) AS "maxId",
+              (SELECT CASE WHEN is_called THEN last_value ELSE last_value - 1 END FROM ${quoteIdent(seq)}) AS "seqValue"`
+    );
+    if (+row.seqValue < +row.maxId) {
+      problems.push(`${seq} is at ${row.seqValue} but MAX(${table}.id) is ${row.maxId} — the next insert will collide`);
+    }
+  }
+  return problems;
+}
+
+async function checkCommitSnapshots(pg) {
+  const problems = [];
+  const { rows: commits } = await pg.query(
+    `SELECT DISTINCT ON ("eventId") id, "eventId", data FROM commit
+     ORDER BY "eventId", time DESC, id DESC`
+  );
+  const { rows: stackRows } = await pg.query('SELECT id, "eventId" FROM stack');
+  const { rows: esnRows } = await pg.query('SELECT "eventId", "stackId", "newsId" FROM "eventStackNews"');
+  const { rows: tagRows } = await pg.query('SELECT "eventId", "tagId" FROM "eventTag"');
+
+  const stacksByEvent = groupBy(stackRows, (r) => r.eventId);
+  const newsByStack = groupBy(esnRows, (r) => `${r.eventId}:${r.stackId}`);
+  const tagsByEvent = groupBy(tagRows, (r) => r.eventId);
+  const toSet = (items, keyOf) => new Set((items || []).map((x) => String(keyOf(x))));
+
+  for (const { id, eventId, data } of commits) {
+    const snapshot = typeof data === 'string' ? JSON.parse(data) : data || {};
+    const issues = [];
+
+    const stackDiff = describeSetDiff(
+      toSet(stacksByEvent.get(eventId), (s) => s.id),
+      toSet(snapshot.stacks, (s) => s.id)
+    );
+    if (stackDiff) issues.push(`stacks ${stackDiff}`);
+
+    for (const stack of snapshot.stacks || []) {
+      const newsDiff = describeSetDiff(
+        toSet(newsByStack.get(`${eventId}:${stack.id}`), (r) => r.newsId),
+        toSet(stack.news, (n) => n.id)
       );
+      if (newsDiff) issues.push(`stack ${stack.id} news ${newsDiff}`);
+    }
+
+    const offshelfDiff = describeSetDiff(
+      toSet(newsByStack.get(`${eventId}:null`), (r) => r.newsId),
+      toSet(snapshot.offshelfNews, (n) => n.id)
+    );
+    if (offshelfDiff) issues.push(`off-shelf news ${offshelfDiff}`);
+
+    const tagDiff = describeSetDiff(
+      toSet(tagsByEvent.get(eventId), (r) => r.tagId),
+      toSet(snapshot.tags, (t) => t.id)
+    );
+    if (tagDiff) issues.push(`tags ${tagDiff}`);
+
+    if (issues.length) problems.push(`event ${eventId} (commit ${id}): ${issues.join('; ')}`);
+  }
+
+  const { rows: uncommitted } = await pg.query(
+    `SELECT e.id FROM event e
+     WHERE NOT EXISTS (SELECT 1 FROM commit c WHERE c."eventId" = e.id)
+     ORDER BY e.id`
+  );
+  if (uncommitted.length) {
+    problems.push(`${uncommitted.length} event(s) have no commit and are invisible to the event list: ` +
+      uncommitted.slice(0, VERIFY_SAMPLE_SIZE).map((r) => r.id).join(', '));
+  }
+  return problems;
+}
+
+/** acl_users/acl_roles rows vs their `surge-acl_users@X`/`surge-acl_roles@X` sets. */
+async function checkAclMirror(pg, rd) {
+  const problems = [];
+  for (const [table, family] of [['acl_users', 'users'], ['acl_roles', 'roles']]) {
+    const { rows } = await pg.query(`SELECT key, value FROM ${quoteIdent(table)}`);
+    const prefix = `${ACL_PREFIX}_${family}@`;
+    const pgSets = new Map(rows.map((r) => [String(r.key), parseAclValue(r.value)]));
+    const redisKeys = await scanKeys(rd, `${prefix}*`);
+    const allNames = new Set([...pgSets.keys(), ...redisKeys.map((k) => k.slice(prefix.length))]);
+    const redisSets = await readRedisSets(rd, [...allNames].map((name) => prefix + name));
+
+    for (const name of [...allNames].sort()) {
+      const pgSet = pgSets.get(name);
+      const redisSet = redisSets.get(prefix + name);
+      if (!pgSet) {
+        problems.push(`${prefix}${name} exists in Redis but not in ${table}`);
+      } else if (redisSet.size === 0) {
+        problems.push(`${table}[${name}] exists in Postgres but ${prefix}${name} is empty`);
+      } else {
+        const diff = describeSetDiff(pgSet, redisSet);
+        if (diff) problems.push(`${prefix}${name} vs ${table}: Redis is ${diff}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Every event needs its owner role and its name-cache entry; cached star
+ * counts must match the star table, where the schema has one.
+ */
+async function checkEventCaches(pg, rd) {
+  const problems = [];
+  const { rows: events } = await pg.query('SELECT id, name, pinyin, "ownerId" FROM event ORDER BY id');
+  const ownerIds = [...new Set(events.map((e) => e.ownerId || 1))];
+  const userRoles = await readRedisSets(rd, ownerIds.map((uid) => `${ACL_PREFIX}_users@${uid}`));
+  const nameKeys = events.map((e) => eventCacheNames(e).map((name) => `${REDIS_PREFIX}event-name-mem-${name}@${e.ownerId || 1}`));
+  const nameCache = await readRedisStrings(rd, nameKeys.flat());
+  const hasStars = liveColumns.has('star');
+  const { rows: starTotals } = hasStars
+    ? await pg.query('SELECT "eventId", COUNT(*)::int AS count FROM star GROUP BY "eventId"')
+    : { rows: [] };
+  const starCounts = new Map(starTotals.map((r) => [r.eventId, r.count]));
+  const starKeys = events.map((e) => `${REDIS_PREFIX}event-star-count-mem-${e.id}`);
+  const starCache = hasStars ? await readRedisStrings(rd, starKeys) : new Map();
+
+  events.forEach((e, i) => {
+    const ownerId = e.ownerId || 1;
+    if (!userRoles.get(`${ACL_PREFIX}_users@${ownerId}`).has(`event-${e.id}-owner-role`)) {
+      problems.push(`event ${e.id}: owner ${ownerId} does not hold event-${e.id}-owner-role`);
+    }
+    for (const key of nameKeys[i]) {
+      const cached = nameCache.get(key);
+      if (cached == null) {
+        problems.push(`event ${e.id}: missing ${key}`);
+      } else if (cached !== JSON.stringify(e.id)) {
+        problems.push(`event ${e.id}: ${key} points at ${cached}`);
+      }
+    }
+    const stars = starCounts.get(e.id) || 0;
+    const cachedStars = starCache.get(starKeys[i]);
+    if (cachedStars != null && +cachedStars !== stars) {
+      problems.push(`event ${e.id}: ${starKeys[i]} is ${cachedStars} but the star table has ${stars} row(s)`);
+    }
+  });
+  return problems;
+}
+
+async function verifySeed() {
+  const rd = new Redis(redisConfig);
+  const pg = new Client(pgConfig);
+  await pg.connect();
+  console.log('🔍 Auditing local Postgres + Redis state...\n');
+  const tables = await introspectColumns(pg);
+  liveColumns = new Map([...tables].map(([table, columns]) => [table, new Set(columns.keys())]));
+
+  const checks = [
+    ['Dangling references', () => checkReferences(pg)],
+    ['Sequences behind MAX(id)', () => checkSequences(pg)],
+    ['Commit snapshots vs relational rows', () => checkCommitSnapshots(pg)],
+    ['ACL mirror (Redis vs Postgres)', () => checkAclMirror(pg, rd)],
+    ['Event owner roles, name and star-count caches', () => checkEventCaches(pg, rd)],
+  ];
+
+  let failed = 0;
+  try {
+    for (const [title, run] of checks) {
+      const problems = await run();
+      if (problems.length === 0) {
+        console.log(`✓ ${title}`);
+        continue;
+      }
+      failed++;
+      console.log(`✗ ${title} — ${problems.length} problem(s)`);
+      for (const problem of problems.slice(0, VERIFY_SAMPLE_SIZE)) console.log(`    ${problem}`);
+      if (problems.length > VERIFY_SAMPLE_SIZE) console.log(`    … and ${problems.length - VERIFY_SAMPLE_SIZE} more`);
+    }
+  } finally {
+    rd.disconnect();
+    await pg.end();
+  }
+
+  console.log(failed
+    ? `\n❌ ${failed} of ${checks.length} checks failed`
+    : `\n✅ All ${checks.length} checks passed`);
+  return failed === 0;
+}
+
+// ---------------------------------------------------------------------------
+// Redis rebuild (./run.sh seed redis-only)
+//
+//   Recreates every key seedRedis() writes from what Postgres holds now, for
+//   when the Redis volume is gone but pgdata survived. ACL memberships come
+//   from the acl_users/acl_roles mirror, the per-event role graph and the
+//   caches from client, event and star rows. --drift (implied by --dry-run)
+//   first lists how the current keys differ from the rebuilt ones.
+// ---------------------------------------------------------------------------
+
+/** Map key → { command: 'sadd', members } | { command: 'set', value } for the current Postgres state. */
+async function planRedisFromPostgres(pg) {
+  const plan = new Map();
+  const sadd = (key, ...members) => {
+    if (!plan.has(key)) plan.set(key, { command: 'sadd', members: new Set() });
+    for (const m of members) plan.get(key).members.add(String(m));
+  };
+
+  for (const [table, family] of [['acl_users', 'users'], ['acl_roles', 'roles']]) {
+    const { rows } = await pg.query(`SELECT key, value FROM ${quoteIdent(table)} ORDER BY key`);
+    for (const r of rows) {
+      const members = parseAclValue(r.value);
+      if (members.size > 0) sadd(`${ACL_PREFIX}_${family}@${r.key}`, ...members);
+    }
+  }
+
+  const { rows: clients } = await pg.query('SELECT id, username FROM client ORDER BY id');
+  for (const c of clients) {
+    sadd(...roleEditSelfEntry(c.id));
+    if (c.username) plan.set(`${REDIS_PREFIX}client-name-mem-${c.username}`, { command: 'set', value: JSON.stringify(c.id) });
+  }
+
+  const { rows: events } = await pg.query('SELECT id, name, pinyin, "ownerId" FROM event ORDER BY id');
+  const { rows: starTotals } = await pg.query('SELECT "eventId", COUNT(*)::int AS count FROM star GROUP BY "eventId"');
+  const starCounts = new Map(starTotals.map((r) => [r.eventId, r.count]));
+  for (const e of events) {
+    for (const [key, ...members] of eventAclEntries(e.id)) sadd(key, ...members);
+    for (const name of eventCacheNames(e)) {
+      plan.set(`${REDIS_PREFIX}event-name-mem-${name}@${e.ownerId || 1}`, { command: 'set', value: JSON.stringify(e.id) });
+    }
+    plan.set(`${REDIS_PREFIX}event-star-count-mem-${e.id}`, { command: 'set', value: String(starCounts.get(e.id) || 0) });
+  }
+  return { plan, clients: clients.length, events: events.length };
+}
+
+/** Compare `plan` with the keys Redis holds now and print per-family drift. */
+async function reportRedisDrift(rd, plan) {
+  const families = new Map(); // family → { missing, differs, extra, unchanged, samples }
+  const note = (key, kind, sample) => {
+    const family = redisKeyFamily(key);
+    if (!families.has(family)) families.set(family, { missing: 0, differs: 0, extra: 0, unchanged: 0, samples: [] });
+    const stats = families.get(family);
+    stats[kind]++;
+    if (sample && stats.samples.length < DRY_RUN_SAMPLES) stats.samples.push(sample);
+  };
+
+  const planned = [...plan.keys()];
+  const sets = await readRedisSets(rd, planned.filter((key) => plan.get(key).command === 'sadd'));
+  const strings = await readRedisStrings(rd, planned.filter((key) => plan.get(key).command === 'set'));
+  for (const key of planned) {
+    const entry = plan.get(key);
+    if (entry.command === 'sadd') {
+      const current = sets.get(key);
+      const diff = describeSetDiff(entry.members, current);
+      if (current.size === 0) note(key, 'missing', `${key}: missing`);
+      else if (diff) note(key, 'differs', `${key}: Redis is ${diff}`);
+      else note(key, 'unchanged');
+    } else {
+      const current = strings.get(key);
+      if (current == null) note(key, 'missing', `${key}: missing`);
+      else if (current !== entry.value) note(key, 'differs', `${key}: ${previewValue(current)} → ${previewValue(entry.value)}`);
+      else note(key, 'unchanged');
+    }
+  }
+  for (const pattern of SEED_REDIS_PATTERNS) {
+    for (const key of await scanKeys(rd, pattern)) {
+      if (!plan.has(key)) note(key, 'extra', `${key}: not derivable from Postgres`);
+    }
+  }
+
+  console.log('\n🔍 Drift between Redis and the keys rebuilt from Postgres:');
+  console.log('\n   Redis                              missing  differs  extra  unchanged');
+  for (const [family, f] of families) {
+    console.log(`   ${family.padEnd(34)} ${[f.missing, f.differs, f.extra, f.unchanged]
+      .map((n, i) => String(n).padStart([7, 9, 7, 11][i])).join('')}`);
+  }
+  for (const f of families.values()) {
+    for (const sample of f.samples) console.log(`     ${sample}`);
+  }
+  const drifted = [...families.values()].reduce((n, f) => n + f.missing + f.differs + f.extra, 0);
+  console.log(drifted ? `\n   ${drifted} key(s) drifted` : '\n   ✓ Redis already matches Postgres');
+  const extra = [...families.values()].reduce((n, f) => n + f.extra, 0);
+  if (extra > 0 && !RESET) console.log('   Keys not derivable from Postgres are kept; --reset deletes them');
+  return drifted;
+}
+
+async function rebuildRedis() {
+  console.log('🔴 Rebuilding Redis from PostgreSQL...');
+  const pg = await waitForPostgres();
+  const rd = new Redis(redisConfig);
+
+  try {
+    const { plan, clients, events } = await planRedisFromPostgres(pg);
+    console.log(`   ✓ ${plan.size} keys derived from ${clients} clients and ${events} events`);
+
+    if (args.drift || args.dryRun) await reportRedisDrift(rd, plan);
+    if (args.dryRun) {
+      console.log('\n🔍 Dry run — nothing was written');
+      return;
     }
 
-    // ------------------------------------------------------------------
-    // 3g. HeaderImages
-    // ------------------------------------------------------------------
-    console.log(`🖼️  Inserting ${headerImages.length} header images...`);
-    for (const h of headerImages) {
-      await pg.query(
-        `INSERT INTO "headerImage" (id, "imageUrl", source, "sourceUrl", "eventId", "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5, $6, $7)
-         ON CONFLICT (id) DO NOTHING`,
-        [
-          h.id,
-          h.imageUrl,
-          h.source,
-          h.sourceUrl,
-          h.eventId,
-          h.createdAt || now,
-          h.updatedAt || now,
-        ]
-      );
+    if (RESET) console.log(`   ✓ ${await resetRedisKeys(rd)} seeded keys deleted`);
+    // Each key is replaced as a whole, so members Postgres no longer has go away
+    const batch = createRedisBatch(rd);
+    for (const [key, entry] of plan) {
+      await batch.add('del', key);
+      if (entry.command === 'sadd') await batch.add('sadd', key, ...entry.members);
+      else await batch.add('set', key, entry.value);
     }
-    if (headerImages.length > 0) {
-      const maxHiId = Math.max(...headerImages.map((h) => h.id).filter(Boolean));
-      if (maxHiId) {
-        await pg.query(`SELECT setval('"headerImage_id_seq"', $1, true)`, [maxHiId]);
-      }
+    await batch.flush();
+    console.log(`   ✓ ${plan.size} keys written`);
+    console.log('\n✅ Redis rebuilt from PostgreSQL');
+  } finally {
+    rd.disconnect();
+    await pg.end();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// ACL inspector (./run.sh acl who-can|explain)
+//
+//   Walks the node_acl layout the seed writes: a user's roles in
+//   surge-acl_users@{uid}, each role's parents in surge-acl_parents@{role}
+//   and what a role may do in surge-acl_allows_{role}@{resource}. Effective
+//   permissions follow Redis, which the backend reads; the Postgres copies
+//   in acl_users/acl_roles are compared along the way.
+// ---------------------------------------------------------------------------
+
+/** Every surge-acl_parents@{role} set → Map role → Set of parent roles. */
+async function readAclParents(rd) {
+  const prefix = `${ACL_PREFIX}_parents@`;
+  const keys = await scanKeys(rd, `${prefix}*`);
+  const sets = await readRedisSets(rd, keys);
+  return new Map(keys.map((key) => [key.slice(prefix.length), sets.get(key)]));
+}
+
+/**
+ * Breadth-first walk from `startRoles` along `edges` (role → Set of roles):
+ * Map role → shortest chain of roles that reaches it, starting role first.
+ */
+function walkRoles(startRoles, edges) {
+  const chains = new Map([...startRoles].map((role) => [role, [role]]));
+  const queue = [...chains.keys()];
+  while (queue.length > 0) {
+    const role = queue.shift();
+    for (const next of edges.get(role) || []) {
+      if (chains.has(next)) continue;
+      chains.set(next, [...chains.get(role), next]);
+      queue.push(next);
     }
+  }
+  return chains;
+}
 
-    // ------------------------------------------------------------------
-    // 3h. Update events with latestAdmittedNewsId (only if the news exists)
-    // ------------------------------------------------------------------
-    console.log(`🔄 Updating latestAdmittedNewsId for events...`);
-    let updatedCount = 0;
-    let skippedCount = 0;
-    for (const [, e] of events) {
-      if (e.latestAdmittedNewsId) {
-        if (news.has(e.latestAdmittedNewsId)) {
-          await pg.query(
-            `UPDATE event SET "latestAdmittedNewsId" = $1 WHERE id = $2`,
-            [e.latestAdmittedNewsId, e.id]
-          );
-          updatedCount++;
-        } else {
-          skippedCount++;
-        }
-      }
+/** Postgres acl_users/acl_roles rows for `keys` → Map key → Set (absent when there is no row). */
+async function readAclRows(pg, table, keys) {
+  const { rows } = await pg.query(`SELECT key, value FROM ${quoteIdent(table)} WHERE key = ANY($1::text[])`, [keys.map(String)]);
+  return new Map(rows.map((r) => [r.key, parseAclValue(r.value)]));
+}
+
+/**
+ * Where the user↔role membership of `pairs` ([uid, role]) differs between
+ * the four copies: Redis and Postgres, users → roles and roles → users.
+ */
+async function describeMembershipMismatches(pg, rd, pairs) {
+  const uids = [...new Set(pairs.map(([uid]) => String(uid)))];
+  const roles = [...new Set(pairs.map(([, role]) => role))];
+  const redisUsers = await readRedisSets(rd, uids.map((uid) => `${ACL_PREFIX}_users@${uid}`));
+  const redisRoles = await readRedisSets(rd, roles.map((role) => `${ACL_PREFIX}_roles@${role}`));
+  const pgUsers = await readAclRows(pg, 'acl_users', uids);
+  const pgRoles = await readAclRows(pg, 'acl_roles', roles);
+
+  const problems = [];
+  for (const [uid, role] of pairs) {
+    const copies = {
+      [`${ACL_PREFIX}_users@${uid}`]: redisUsers.get(`${ACL_PREFIX}_users@${uid}`).has(role),
+      [`${ACL_PREFIX}_roles@${role}`]: redisRoles.get(`${ACL_PREFIX}_roles@${role}`).has(String(uid)),
+      [`acl_users[${uid}]`]: (pgUsers.get(String(uid)) || new Set()).has(role),
+      [`acl_roles[${role}]`]: (pgRoles.get(role) || new Set()).has(String(uid)),
+    };
+    const missing = Object.keys(copies).filter((copy) => !copies[copy]);
+    if (missing.length > 0 && missing.length < 4) {
+      problems.push(`user ${uid} in ${role}: not listed in ${missing.join(', ')}`);
     }
-    console.log(`   ✓ Updated ${updatedCount}, skipped ${skippedCount} (news not in scraped data)`);
+  }
+  return problems;
+}
 
-    // ------------------------------------------------------------------
-    // 3i. Create commit records (required for event list API)
-    // ------------------------------------------------------------------
-    console.log(`📝 Creating commit records for ${events.size} events...`);
-    let commitId = 1;
-    for (const [eventId, e] of events) {
-      // Build the data snapshot the API expects
-      const eventStacks = [...stacks.values()]
-        .filter((s) => s.eventId === eventId)
-        .sort((a, b) => (a.order ?? -1) - (b.order ?? -1))
-        .map((s) => {
-          const stackNews = eventStackNews
-            .filter((esn) => esn.eventId === eventId && esn.stackId === s.id)
-            .map((esn) => news.get(esn.newsId))
-            .filter(Boolean)
-            .sort((a, b) => new Date(b.time || 0) - new Date(a.time || 0));
-          return { ...s, news: stackNews };
-        });
+/** Usernames by ID (as strings, like ACL user keys); IDs that are not numbers have none. */
+async function clientNames(pg, ids) {
+  const numeric = ids.filter((id) => /^\d+$/.test(id)).map(Number);
+  const { rows } = await pg.query('SELECT id, username FROM client WHERE id = ANY($1::integer[])', [numeric]);
+  return new Map(rows.map((r) => [String(r.id), r.username]));
+}
 
-      const eventTagsList = eventTags
-        .filter((et) => et.eventId === eventId)
-        .map((et) => tags.get(et.tagId))
-        .filter(Boolean);
+function printMismatches(problems) {
+  if (problems.length === 0) {
+    console.log('\n✓ Redis and Postgres agree on these memberships');
+    return;
+  }
+  console.log(`\n⚠️  Redis and Postgres disagree (${problems.length}):`);
+  for (const problem of problems) console.log(`   ${problem}`);
+}
 
-      const hi = headerImages.find((h) => h.eventId === eventId) || null;
+/** Every permission `uid` holds on `resource`, with the role chain granting it. */
+async function explainAcl(pg, rd, uid, resource) {
+  const directRoles = (await readRedisSets(rd, [`${ACL_PREFIX}_users@${uid}`])).get(`${ACL_PREFIX}_users@${uid}`);
+  const pgRoles = (await readAclRows(pg, 'acl_users', [uid])).get(String(uid)) || new Set();
+  const username = (await clientNames(pg, [uid])).get(String(uid));
+  console.log(`🔍 User ${uid}${username ? ` (@${username})` : ''} on ${resource}\n`);
+  console.log(`   Roles: ${[...directRoles].sort().join(', ') || '(none in Redis)'}`);
 
-      const latestNews = e.latestAdmittedNewsId && news.has(e.latestAdmittedNewsId)
-        ? news.get(e.latestAdmittedNewsId)
-        : null;
+  const chains = walkRoles(directRoles, await readAclParents(rd));
+  const roles = [...chains.keys()];
+  const allows = await readRedisSets(rd, roles.map((role) => `${ACL_PREFIX}_allows_${role}@${resource}`));
+  const granted = new Map(); // permission → shortest chain
+  for (const role of roles) {
+    for (const permission of allows.get(`${ACL_PREFIX}_allows_${role}@${resource}`)) {
+      const chain = chains.get(role);
+      if (!granted.has(permission) || chain.length < granted.get(permission).length) granted.set(permission, chain);
+    }
+  }
 
-      // Determine a timestamp for sorting: first stack time, first news time, or event updatedAt
-      let commitTime = null;
-      if (eventStacks.length > 0 && eventStacks[0].time) {
-        commitTime = eventStacks[0].time;
-      } else if (eventStacks.length > 0 && eventStacks[0].news && eventStacks[0].news.length > 0 && eventStacks[0].news[0].time) {
-        commitTime = eventStacks[0].news[0].time;
-      } else if (latestNews && latestNews.time) {
-        commitTime = latestNews.time;
-      } else {
-        commitTime = e.updatedAt || now;
-      }
+  if (granted.size === 0) {
+    console.log(`\n   No permissions on ${resource}`);
+  } else {
+    console.log(`\n   Effective permissions on ${resource}:`);
+    const width = Math.max(...[...granted.keys()].map((p) => p.length));
+    for (const permission of [...granted.keys()].sort()) {
+      console.log(`     ${permission.padEnd(width)}  ${[uid, ...granted.get(permission)].join(' → ')}`);
+    }
+  }
 
-      // Compute stack-level newsCount and event-level totals
-      let totalNewsCount = 0;
-      for (const st of eventStacks) {
-        st.newsCount = (st.news || []).length;
-        totalNewsCount += st.newsCount;
-      }
+  const pairs = [...new Set([...directRoles, ...pgRoles])].map((role) => [uid, role]);
+  printMismatches(await describeMembershipMismatches(pg, rd, pairs));
+}
 
-      // Build owner object (matches what EventService.findEvent includes)
-      const ownerId = e.ownerId || 1;
-      let ownerObj = null;
-      if (ownerId === 1) {
-        ownerObj = { id: 1, username: 'surge', nickname: 'Surge', avatar: null, description: null };
-      } else {
-        const idx = sortedOwnerIds.indexOf(ownerId);
-        if (idx >= 0) {
-          const pn = pseudonyms[idx];
-          const un = pn.toLowerCase().replace(/\s+/g, '');
-          ownerObj = { id: ownerId, username: un, nickname: pn, avatar: null, description: null };
-        }
-      }
+/** Every user holding `permission` on `resource`, with the role chain granting it. */
+async function whoCanAcl(pg, rd, resource, permission) {
+  console.log(`🔍 Who can ${permission} ${resource}\n`);
+  const prefix = `${ACL_PREFIX}_allows_`;
+  const allowKeys = (await scanKeys(rd, `${prefix}*@${escapeGlob(resource)}`)).filter((key) => key.endsWith(`@${resource}`));
+  const allows = await readRedisSets(rd, allowKeys);
+  const grantingRoles = allowKeys
+    .filter((key) => allows.get(key).has(permission) || allows.get(key).has('*'))
+    .map((key) => key.slice(prefix.length, -(resource.length + 1)));
+  if (grantingRoles.length === 0) {
+    console.log(`   No role is allowed to ${permission} ${resource}`);
+    return;
+  }
+  console.log(`   Granted directly to: ${grantingRoles.sort().join(', ')}`);
 
-      const commitData = {
-        id: eventId,
-        name: e.name,
-        pinyin: e.pinyin || null,
-        description: e.description || null,
-        status: e.status || 'admitted',
-        needContributor: e.needContributor || false,
-        ownerId,
-        parentId: e.parentId || null,
-        latestAdmittedNewsId: (latestNews ? latestNews.id : null),
-        headerImage: hi ? { id: hi.id, imageUrl: hi.imageUrl, source: hi.source, sourceUrl: hi.sourceUrl, eventId } : null,
-        latestAdmittedNews: latestNews,
-        stacks: eventStacks,
-        tags: eventTagsList,
-        offshelfNews: [],
-        owner: ownerObj,
-        stackCount: eventStacks.length,
-        newsCount: totalNewsCount,
-        contribution: [],
-        contributors: [],
-        commitTime: commitTime,
-        createdAt: e.createdAt || now,
-        updatedAt: e.updatedAt || now,
-      };
+  // Walk the graph downwards: from each granting role to the roles inheriting it
+  const children = new Map();
+  for (const [role, parents] of await readAclParents(rd)) {
+    for (const parent of parents) {
+      if (!children.has(parent)) children.set(parent, new Set());
+      children.get(parent).add(role);
+    }
+  }
+  const chains = walkRoles(grantingRoles, children);
 
-      const commitTimeStr = new Date(commitTime).toISOString();
-
-      await pg.query(
-        `INSERT INTO commit (id, summary, data, "isForkCommit", time, "authorId", "eventId", "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-         ON CONFLICT (id) DO NOTHING`,
-        [
-          commitId,
-          'Seed commit',
-          JSON.stringify(commitData),
-          false,
-          commitTimeStr,
-          e.ownerId || 1,
-          eventId,
-          e.createdAt || now,
-          e.updatedAt || now,
-        ]
-      );
-      commitId++;
+  // node_acl goes by each user's own role set, so that decides who holds it
+  const userPrefix = `${ACL_PREFIX}_users@`;
+  const userKeys = await scanKeys(rd, `${userPrefix}*`);
+  const userSets = await readRedisSets(rd, userKeys);
+  const holders = new Map(); // uid → shortest chain, the user's own role first
+  const pairs = new Map();   // every uid/role membership some copy records
+  for (const key of userKeys) {
+    const uid = key.slice(userPrefix.length);
+    for (const role of userSets.get(key)) {
+      if (!chains.has(role)) continue;
+      pairs.set(`${uid}@${role}`, [uid, role]);
+      const chain = [...chains.get(role)].reverse();
+      if (!holders.has(uid) || chain.length < holders.get(uid).length) holders.set(uid, chain);
+    }
+  }
+  const roles = [...chains.keys()];
+  const redisMembers = await readRedisSets(rd, roles.map((role) => `${ACL_PREFIX}_roles@${role}`));
+  const pgMembers = await readAclRows(pg, 'acl_roles', roles);
+  for (const role of roles) {
+    for (const uid of [...redisMembers.get(`${ACL_PREFIX}_roles@${role}`), ...(pgMembers.get(role) || [])]) {
+      pairs.set(`${uid}@${role}`, [uid, role]);
+    }
+  }
+  const { rows: pgUsers } = await pg.query('SELECT key, value FROM acl_users');
+  for (const { key: uid, value } of pgUsers) {
+    for (const role of parseAclValue(value)) if (chains.has(role)) pairs.set(`${uid}@${role}`, [uid, role]);
+  }
+
+  const uids = [...holders.keys()].sort((a, b) => a - b);
+  const names = await clientNames(pg, uids);
+  if (uids.length === 0) {
+    console.log('\n   No user holds one of these roles');
+  } else {
+    console.log(`\n   ${uids.length} user(s):`);
+    for (const uid of uids) {
+      const label = names.has(uid) ? `${uid} (@${names.get(uid)})` : uid;
+      console.log(`     ${[label, ...holders.get(uid)].join(' → ')}`);
     }
-    await pg.query(`SELECT setval('commit_id_seq', $1, true)`, [commitId - 1]);
-    console.log(`   ✓ Created ${commitId - 1} commits`);
+  }
+  printMismatches(await describeMembershipMismatches(pg, rd, [...pairs.values()]));
+}
 
-    await pg.query('COMMIT');
-    console.log('\n✅ Seed complete!');
-  } catch (err) {
-    await pg.query('ROLLBACK');
-    console.error('\n❌ Seed failed — rolled back');
-    throw err;
+async function inspectAcl(action, ...rest) {
+  const usage = 'Usage: acl who-can <resource> <permission> | acl explain <userId> <resource>';
+  if (!['who-can', 'explain'].includes(action) || rest.length !== 2) throw usageError(usage);
+  if (action === 'explain' && !/^\d+$/.test(rest[0])) throw usageError(`acl explain: "${rest[0]}" is not a user ID`);
+  const pg = await waitForPostgres();
+  const rd = new Redis(redisConfig);
+  try {
+    if (action === 'explain') await explainAcl(pg, rd, rest[0], rest[1]);
+    else await whoCanAcl(pg, rd, rest[0], rest[1]);
   } finally {
+    rd.disconnect();
     await pg.end();
   }
 }
 
 // ---------------------------------------------------------------------------
-// Phase 4: Seed Redis (ACL roles, caches)
+// State archive (./run.sh state export|import <file>)
+//
+//   A gzip NDJSON file like the HTTP snapshots: a meta line (format
+//   version, schema version, column layout, sequence values), then one
+//   line per table row (parents first) and per Redis key.
 // ---------------------------------------------------------------------------
 
-async function seedRedis(data) {
-  const { events, ownerIds } = data;
-  const rd = new Redis(redisConfig);
-  const pg = new Client(pgConfig);
-  await pg.connect();
-  console.log('\n🔴 Connected to Redis + PostgreSQL for ACL seeding');
+const STATE_ARCHIVE_VERSION = 1;
+const STATE_PAGE_ROWS = 2000;
+// Every key the backend keeps under its prefixes, not just the seeded families
+const STATE_REDIS_PATTERNS = [...new Set([`${REDIS_PREFIX}*`, `${ACL_PREFIX}*`])];
+
+// Timestamps stay text so they round-trip without passing through the
+// container's time zone
+const rawTimestampTypes = {
+  getTypeParser: (oid, format) => ([1114, 1184].includes(oid) ? (value) => value : pgTypes.getTypeParser(oid, format)),
+};
 
+/** Applied Sequelize migrations, or null when the schema has no SequelizeMeta. */
+async function readSchemaVersion(pg) {
   try {
-    const sortedOwnerIds = [...ownerIds].sort((a, b) => a - b).filter((id) => id !== 1);
-    const allUserIds = [1, ...sortedOwnerIds];
-    const pseudonyms = generatePseudonyms(sortedOwnerIds.length);
-    const now = new Date().toISOString();
+    const { rows } = await pg.query('SELECT name FROM "SequelizeMeta" ORDER BY name');
+    return rows.map((r) => r.name);
+  } catch (err) {
+    if (err.code === '42P01') return null;
+    throw err;
+  }
+}
 
-    // ------------------------------------------------------------------
-    // 4a. ACL role assignments
-    //     The dual-write backend stores in both Redis and Postgres:
-    //       Redis:    SADD surge-acl_users@{userId} <roles...>
-    //       Postgres: acl_users (key=userId, value=JSON array of roles)
-    //       Redis:    SADD surge-acl_roles@{role} <userIds...>
-    //       Postgres: acl_roles (key=role, value=JSON array of userIds)
-    // ------------------------------------------------------------------
-    console.log('\n🔑 Setting ACL role assignments...');
+/** Every `*_id_seq` sequence with the table owning it and its current value. */
+async function readIdSequences(pg) {
+  const { rows } = await pg.query(
+    `SELECT s.relname AS name, t.relname AS "table", a.attname AS "column"
+       FROM pg_class s
+       JOIN pg_depend d ON d.objid = s.oid AND d.deptype IN ('a', 'i')
+       JOIN pg_class t ON t.oid = d.refobjid
+       JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = d.refobjsubid
+      WHERE s.relkind = 'S' AND s.relname LIKE '%\\_id\\_seq'
+        AND s.relnamespace = current_schema()::regnamespace
+      ORDER BY s.relname`
+  );
+  for (const seq of rows) {
+    const { rows: [row] } = await pg.query(
+      `SELECT CASE WHEN is_called THEN last_value ELSE last_value - 1 END AS value FROM ${quoteIdent(seq.name)}`
+    );
+    seq.value = +row.value;
+  }
+  return rows;
+}
 
-    // Build user→roles and role→users maps
-    const userRolesMap = new Map(); // userId → Set of role strings
-    const roleUsersMap = new Map(); // roleName → Set of userId strings
+/** Read one Redis key as { key, kind, value, ttl } (ttl in ms, omitted when none). */
+async function readRedisKey(rd, key) {
+  const kind = await rd.type(key);
+  let value;
+  if (kind === 'string') value = await rd.get(key);
+  else if (kind === 'set') value = (await rd.smembers(key)).sort();
+  else if (kind === 'hash') value = await rd.hgetall(key);
+  else if (kind === 'list') value = await rd.lrange(key, 0, -1);
+  else if (kind === 'zset') value = await rd.zrange(key, 0, -1, 'WITHSCORES');
+  else return null; // expired meanwhile, or a type the backend does not use
+  const ttl = await rd.pttl(key);
+  return ttl > 0 ? { key, kind, value, ttl } : { key, kind, value };
+}
 
-    // Admin: surge (id=1) → admins role
-    if (!userRolesMap.has(1)) userRolesMap.set(1, new Set());
-    userRolesMap.get(1).add('admins');
-    if (!roleUsersMap.has('admins')) roleUsersMap.set('admins', new Set());
-    roleUsersMap.get('admins').add('1');
-    console.log('   1 (surge) → admins');
+/** Queue the commands recreating a key read by readRedisKey(). */
+async function writeRedisKey(batch, { key, kind, value, ttl }) {
+  await batch.add('del', key);
+  if (kind === 'string') await batch.add('set', key, value);
+  else if (kind === 'set' && value.length) await batch.add('sadd', key, ...value);
+  else if (kind === 'hash' && Object.keys(value).length) await batch.add('hset', key, ...Object.entries(value).flat());
+  else if (kind === 'list' && value.length) await batch.add('rpush', key, ...value);
+  else if (kind === 'zset' && value.length) {
+    // WITHSCORES lists member, score; ZADD wants score, member
+    const pairs = [];
+    for (let i = 0; i < value.length; i += 2) pairs.push(value[i + 1], value[i]);
+    await batch.add('zadd', key, ...pairs);
+  }
+  if (ttl > 0) await batch.add('pexpire', key, ttl);
+}
 
-    // Contributors
-    for (const oid of sortedOwnerIds) {
-      if (!userRolesMap.has(oid)) userRolesMap.set(oid, new Set());
-      userRolesMap.get(oid).add('contributors');
-      if (!roleUsersMap.has('contributors')) roleUsersMap.set('contributors', new Set());
-      roleUsersMap.get('contributors').add(String(oid));
+async function exportState(file) {
+  const pg = new Client({ ...pgConfig, types: rawTimestampTypes });
+  const rd = new Redis(redisConfig);
+  await pg.connect();
+  const partial = `${file}.partial`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(partial, '');
+  const append = (records) => fs.appendFileSync(partial, zlib.gzipSync(records.map((r) => JSON.stringify(r)).join('\n') + '\n'));
+  console.log(`📦 Exporting local state to ${file}...`);
+
+  try {
+    // One snapshot for every table, so the archive is consistent. Redis is
+    // read while that snapshot is held, right after its first query fixed it
+    await pg.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const tables = await introspectColumns(pg);
+    const keys = new Set();
+    for (const pattern of STATE_REDIS_PATTERNS) for (const key of await scanKeys(rd, pattern)) keys.add(key);
+    const redisRecords = [];
+    for (const key of [...keys].sort()) {
+      const record = await readRedisKey(rd, key);
+      if (record) redisRecords.push({ type: 'redis', ...record });
     }
-    console.log(`   ${sortedOwnerIds.length} pseudo users → contributors`);
+    const exported = [...SEED_TABLES].reverse().filter((t) => tables.has(t));
+    const meta = {
+      type: 'meta',
+      format: 'surge-state',
+      version: STATE_ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      schemaVersion: await readSchemaVersion(pg),
+      tables: Object.fromEntries(exported.map((t) => [t, [...tables.get(t).values()]
+        .map((c) => ({ name: c.column_name, type: c.data_type }))])),
+      sequences: Object.fromEntries((await readIdSequences(pg)).map((s) => [s.name, s.value])),
+    };
+    append([meta]);
 
-    // ------------------------------------------------------------------
-    // 4b. ACL role-edit-self permissions
-    //     Mimics allowClientToEditRole(clientId, clientId):
-    //       allow('role-{id}-edit-role', 'role-{id}', ['edit'])
-    //       addUserRoles(clientId, 'role-{id}-edit-role')
-    // ------------------------------------------------------------------
-    console.log('🔐 Setting role-edit-self permissions...');
-    for (const uid of allUserIds) {
-      const editRole = `role-${uid}-edit-role`;
-      const resource = `role-${uid}`;
+    for (const table of exported) {
+      await pg.query(`DECLARE state_rows NO SCROLL CURSOR FOR SELECT * FROM ${quoteIdent(table)} ORDER BY ctid`);
+      let count = 0;
+      for (;;) {
+        const { rows } = await pg.query(`FETCH ${STATE_PAGE_ROWS} FROM state_rows`);
+        if (rows.length === 0) break;
+        append(rows.map((row) => ({ type: 'row', table, row })));
+        count += rows.length;
+      }
+      await pg.query('CLOSE state_rows');
+      console.log(`   ✓ ${table}: ${count} rows`);
+    }
+    await pg.query('COMMIT');
 
-      // allow(editRole, resource, ['edit']) → Redis + PG permissions
-      await rd.sadd(`${ACL_PREFIX}_allows_${editRole}@${resource}`, 'edit');
+    for (let i = 0; i < redisRecords.length; i += STATE_PAGE_ROWS) append(redisRecords.slice(i, i + STATE_PAGE_ROWS));
+    console.log(`   ✓ Redis: ${redisRecords.length} keys`);
 
-      // addUserRoles(uid, editRole) → add to maps
-      if (!userRolesMap.has(uid)) userRolesMap.set(uid, new Set());
-      userRolesMap.get(uid).add(editRole);
-      if (!roleUsersMap.has(editRole)) roleUsersMap.set(editRole, new Set());
-      roleUsersMap.get(editRole).add(String(uid));
-    }
-    console.log(`   ✓ ${allUserIds.length} users`);
+    fs.renameSync(partial, file);
+    console.log(`\n✅ State exported (${(fs.statSync(file).size / 1024).toFixed(0)} KiB)` +
+      (meta.schemaVersion ? `, schema at ${meta.schemaVersion[meta.schemaVersion.length - 1] || 'no migrations'}` : ''));
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    throw err;
+  } finally {
+    rd.disconnect();
+    await pg.end();
+  }
+}
 
-    // ------------------------------------------------------------------
-    // 4b-extra. Event-owner ACL roles
-    //     For each event, assign the owner the event-owner-role so they
-    //     can edit/manage the event. This mimics setClientEventOwner().
-    //
-    //     Roles created per event:
-    //       event-{id}-view-role   → allow(role, event-{id}, 'view')
-    //       event-{id}-edit-role   → allow(role, event-{id}, ['edit','makeCommit'])
-    //                                addRoleParents(edit-role, view-role)
-    //       event-{id}-manage-role → allow(role, event-{id}, ['addViewer','removeViewer','addEditor','removeEditor'])
-    //                                addRoleParents(manage-role, edit-role)
-    //       event-{id}-owner-role  → addRoleParents(owner-role, manage-role)
-    //     Then: addUserRoles(ownerId, owner-role)
-    // ------------------------------------------------------------------
-    console.log('📋 Setting event-owner ACL roles...');
-    for (const [eventId, e] of events) {
-      const ownerId = e.ownerId || 1;
-      const viewRole = `event-${eventId}-view-role`;
-      const editRole = `event-${eventId}-edit-role`;
-      const manageRole = `event-${eventId}-manage-role`;
-      const ownerRole = `event-${eventId}-owner-role`;
-      const resource = `event-${eventId}`;
-
-      // allow(viewRole, resource, 'view')
-      await rd.sadd(`${ACL_PREFIX}_allows_${viewRole}@${resource}`, 'view');
-      // allow(editRole, resource, ['edit', 'makeCommit'])
-      await rd.sadd(`${ACL_PREFIX}_allows_${editRole}@${resource}`, 'edit', 'makeCommit');
-      // addRoleParents(editRole, viewRole)
-      await rd.sadd(`${ACL_PREFIX}_parents@${editRole}`, viewRole);
-      // allow(manageRole, resource, ['addViewer', 'removeViewer', 'addEditor', 'removeEditor'])
-      await rd.sadd(`${ACL_PREFIX}_allows_${manageRole}@${resource}`, 'addViewer', 'removeViewer', 'addEditor', 'removeEditor');
-      // addRoleParents(manageRole, editRole)
-      await rd.sadd(`${ACL_PREFIX}_parents@${manageRole}`, editRole);
-      // addRoleParents(ownerRole, manageRole)
-      await rd.sadd(`${ACL_PREFIX}_parents@${ownerRole}`, manageRole);
+function readStateArchive(file) {
+  if (!fs.existsSync(file)) throw new Error(`State archive not found: ${file}`);
+  const lines = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').split('\n');
+  const meta = lines[0] ? JSON.parse(lines[0]) : null;
+  if (!meta || meta.type !== 'meta' || meta.format !== 'surge-state') throw new Error(`${file} is not a state archive`);
+  if (meta.version > STATE_ARCHIVE_VERSION) {
+    throw new Error(`${file} uses state archive format v${meta.version}; this script reads up to v${STATE_ARCHIVE_VERSION}`);
+  }
+  const rows = new Map(Object.keys(meta.tables).map((t) => [t, []]));
+  const redisKeys = [];
+  for (const line of lines.slice(1)) {
+    if (!line) continue;
+    const record = JSON.parse(line);
+    if (record.type === 'row') rows.get(record.table).push(record.row);
+    else if (record.type === 'redis') redisKeys.push(record);
+  }
+  return { meta, rows, redisKeys };
+}
 
-      // addUserRoles(ownerId, ownerRole)
-      if (!userRolesMap.has(ownerId)) userRolesMap.set(ownerId, new Set());
-      userRolesMap.get(ownerId).add(ownerRole);
-      if (!roleUsersMap.has(ownerRole)) roleUsersMap.set(ownerRole, new Set());
-      roleUsersMap.get(ownerRole).add(String(ownerId));
+/**
+ * Why the archive cannot be restored into this backend: differing
+ * migrations, or tables/columns that do not line up.
+ */
+function describeStateIncompatibility(meta, schemaVersion, tables) {
+  const problems = [];
+  if (meta.schemaVersion && schemaVersion) {
+    const live = new Set(schemaVersion);
+    const archived = new Set(meta.schemaVersion);
+    const missing = meta.schemaVersion.filter((m) => !live.has(m));
+    const extra = schemaVersion.filter((m) => !archived.has(m));
+    if (missing.length) problems.push(`the backend has not run migration(s) ${missing.join(', ')}`);
+    if (extra.length) problems.push(`the backend has run migration(s) the archive predates: ${extra.join(', ')}`);
+  } else if (meta.schemaVersion || schemaVersion) {
+    problems.push(`only the ${meta.schemaVersion ? 'archive' : 'backend'} records a schema version (SequelizeMeta)`);
+  }
+  for (const [table, columns] of Object.entries(meta.tables)) {
+    const live = tables.get(table);
+    if (!live) {
+      problems.push(`table "${table}" does not exist`);
+      continue;
+    }
+    for (const { name, type } of columns) {
+      const column = live.get(name);
+      if (!column) problems.push(`${table}.${name} does not exist`);
+      else if (columnKind(column) !== columnKind({ data_type: type })) problems.push(`${table}.${name} is ${column.data_type}, archived as ${type}`);
     }
-    console.log(`   ✓ ${events.size} events`);
+    const archived = new Set(columns.map((c) => c.name));
+    for (const [name, column] of live) {
+      if (archived.has(name)) continue;
+      if (column.is_nullable === 'NO' && column.column_default == null && column.is_identity !== 'YES') {
+        problems.push(`${table}.${name} is NOT NULL without a default, and the archive has no values for it`);
+      }
+    }
+  }
+  return problems;
+}
 
-    // ------------------------------------------------------------------
-    // Write user→roles to Redis and Postgres
-    // ------------------------------------------------------------------
-    console.log('💾 Writing ACL user↔role mappings to Redis + Postgres...');
-    for (const [uid, roles] of userRolesMap) {
-      const rolesArr = [...roles];
-      // Redis
-      await rd.sadd(`${ACL_PREFIX}_users@${uid}`, ...rolesArr);
-      // Postgres acl_users
-      await pg.query(
-        `INSERT INTO acl_users (key, value, "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (key) DO UPDATE SET value = $2, "updatedAt" = $4`,
-        [uid, JSON.stringify(rolesArr), now, now]
-      );
+async function importState(file) {
+  const { meta, rows, redisKeys } = readStateArchive(file);
+  console.log(`📦 Importing ${file} (exported ${meta.exportedAt})...`);
+  const pg = await waitForPostgres();
+  const rd = new Redis(redisConfig);
+
+  try {
+    const tables = await introspectColumns(pg);
+    const problems = describeStateIncompatibility(meta, await readSchemaVersion(pg), tables);
+    if (problems.length > 0) {
+      console.log('\n❌ The archive does not fit this backend:');
+      for (const problem of problems) console.log(`   - ${problem}`);
+      throw new Error('State import aborted: incompatible schema (run the same backend version the archive was exported from)');
     }
-    for (const [role, uids] of roleUsersMap) {
-      const uidsArr = [...uids];
-      // Redis
-      await rd.sadd(`${ACL_PREFIX}_roles@${role}`, ...uidsArr);
-      // Postgres acl_roles
-      await pg.query(
-        `INSERT INTO acl_roles (key, value, "createdAt", "updatedAt")
-         VALUES ($1, $2, $3, $4)
-         ON CONFLICT (key) DO UPDATE SET value = $2, "updatedAt" = $4`,
-        [role, JSON.stringify(uidsArr), now, now]
-      );
+    console.log('   ✓ Schema matches the archive');
+
+    // Redis follows the same rule as the tables: empty, unless --reset
+    const existingKeys = new Set();
+    for (const pattern of STATE_REDIS_PATTERNS) for (const key of await scanKeys(rd, pattern)) existingKeys.add(key);
+    if (existingKeys.size > 0 && !RESET) {
+      throw new Error(`Redis already has ${existingKeys.size} surge- keys; import restores into a fresh stack (add --reset to replace the local state)`);
     }
-    console.log(`   ✓ ${userRolesMap.size} users, ${roleUsersMap.size} roles`);
 
-    // ------------------------------------------------------------------
-    // 4c. Client name lookup cache
-    //     Key: surge-client-name-mem-{username} → JSON stringified ID
-    // ------------------------------------------------------------------
-    console.log('👤 Populating client name cache...');
-    await rd.set(`${REDIS_PREFIX}client-name-mem-surge`, JSON.stringify(1));
-    for (let i = 0; i < sortedOwnerIds.length; i++) {
-      const oid = sortedOwnerIds[i];
-      const username = pseudonyms[i].toLowerCase().replace(/\s+/g, '');
-      await rd.set(`${REDIS_PREFIX}client-name-mem-${username}`, JSON.stringify(oid));
+    await pg.query('BEGIN');
+    liveColumns = new Map([...tables].map(([table, columns]) => [table, new Set(columns.keys())]));
+    if (RESET) {
+      console.log('\n🧹 Resetting seeded tables...');
+      await resetTables(pg);
+    } else {
+      for (const table of rows.keys()) {
+        const { rows: [{ count }] } = await pg.query(`SELECT COUNT(*)::int AS count FROM ${quoteIdent(table)}`);
+        if (count > 0) {
+          throw new Error(`${table} already has ${count} rows; import restores into a fresh stack (add --reset to replace the local state)`);
+        }
+      }
     }
-    console.log(`   ✓ ${allUserIds.length} entries`);
 
-    // ------------------------------------------------------------------
-    // 4d. Event name lookup cache
-    //     Key: surge-event-name-mem-{eventname}@{ownerid} → JSON ID
-    // ------------------------------------------------------------------
-    console.log('📰 Populating event name cache...');
-    for (const [eventId, e] of events) {
-      const key = `${REDIS_PREFIX}event-name-mem-${e.name}@${e.ownerId || 1}`;
-      await rd.set(key, JSON.stringify(eventId));
+    console.log('\n🗄️  Restoring tables...');
+    await dropBogusEventStackNewsConstraint(pg);
+    for (const [table, tableRows] of rows) {
+      // JSON columns go in as text; node-postgres would send arrays as PG arrays
+      const jsonColumns = meta.tables[table].filter((c) => columnKind({ data_type: c.type }) === 'json').map((c) => c.name);
+      const prepared = tableRows.map((row) => {
+        const copy = { ...row };
+        for (const column of jsonColumns) if (copy[column] != null) copy[column] = JSON.stringify(copy[column]);
+        return copy;
+      });
+      const written = await insertRows(pg, table, prepared, { key: meta.tables[table].map((c) => c.name) });
+      if (written < tableRows.length) {
+        throw new Error(`${table}: only ${written} of ${tableRows.length} rows could be restored; a unique constraint on this backend rejects the rest`);
+      }
+      console.log(`   ✓ ${table}: ${written} rows`);
     }
-    console.log(`   ✓ ${events.size} entries`);
 
-    // ------------------------------------------------------------------
-    // 4e. Star count cache (initialise to 0)
-    //     Key: surge-event-star-count-mem-{eventId} → "0"
-    // ------------------------------------------------------------------
-    console.log('⭐ Initialising star count cache...');
-    for (const [eventId] of events) {
-      await rd.set(`${REDIS_PREFIX}event-star-count-mem-${eventId}`, '0');
+    // Every *_id_seq goes to the archived value, or past the rows now in its table
+    const sequences = await readIdSequences(pg);
+    for (const seq of sequences) {
+      const { rows: [row] } = await pg.query(
+        `SELECT setval($1, GREATEST(m.value, 1), m.value > 0) AS value
+           FROM (SELECT GREATEST(COALESCE(MAX(${quoteIdent(seq.column)}), 0), $2) AS value FROM ${quoteIdent(seq.table)}) m`,
+        [quoteIdent(seq.name), meta.sequences[seq.name] || 0]
+      );
+      seq.value = +row.value;
     }
-    console.log(`   ✓ ${events.size} entries`);
+    console.log(`   ✓ ${sequences.length} sequences reset (${sequences.map((s) => `${s.name}=${s.value}`).join(', ')})`);
 
-    console.log('\n✅ Redis + ACL seed complete!');
+    // Redis goes in as one MULTI before Postgres commits, so a Redis that
+    // cannot take it leaves the tables rolled back instead of half imported
+    console.log('\n🔴 Restoring Redis keys...');
+    const multi = rd.multi();
+    const queue = { add: async (command, ...commandArgs) => multi[command](...commandArgs) };
+    for (const key of existingKeys) await queue.add('del', key);
+    for (const record of redisKeys) await writeRedisKey(queue, record);
+    const results = await multi.exec();
+    const failed = (results || []).find(([err]) => err);
+    if (!results || failed) throw new Error(`Redis restore failed: ${failed ? failed[0].message : 'transaction aborted'}`);
+    if (RESET) console.log(`   ✓ ${existingKeys.size} keys deleted`);
+    console.log(`   ✓ ${redisKeys.length} keys`);
+
+    await pg.query('COMMIT');
+    console.log('\n✅ State imported');
+  } catch (err) {
+    await pg.query('ROLLBACK').catch(() => {});
+    throw err;
   } finally {
     rd.disconnect();
     await pg.end();
@@ -824,11 +5157,90 @@ async function seedRedis(data) {
 
 (async () => {
   try {
-    const data = await scrapeAPI();
+    assertValidArgs();
+    const command = args._.find((a) => !/^https?:\/\//.test(a));
+    if (command === 'verify') {
+      if (!(await verifySeed())) process.exitCode = 1;
+      return;
+    }
+    if (command === 'redis-only') {
+      await rebuildRedis();
+      return;
+    }
+    if (command === 'acl') {
+      await inspectAcl(...args._.slice(1));
+      return;
+    }
+    if (command === 'state') {
+      const [, action, file] = args._;
+      if (!['export', 'import'].includes(action) || !file) throw new Error('Usage: state export|import <file>');
+      await (action === 'export' ? exportState : importState)(resolveDataPath(file));
+      return;
+    }
+    if (command) throw new Error(`Unknown seed command: ${command}`);
+
+    if (args.fromSnapshot) {
+      httpSnapshot = openSnapshot(resolveDataPath(args.fromSnapshot), 'replay');
+      console.log(`📼 Replaying ${httpSnapshot.size} responses from ${httpSnapshot.file}`);
+      console.log(`   Captured ${httpSnapshot.meta.capturedAt} from ${httpSnapshot.meta.source}` +
+        (httpSnapshot.meta.authenticated ? ' (authenticated)' : ''));
+    } else if (args.record) {
+      httpSnapshot = openSnapshot(resolveDataPath(args.record), 'record');
+      console.log(`⏺️  Recording responses to ${httpSnapshot.file}` +
+        (httpSnapshot.size ? ` (reusing ${httpSnapshot.size} already captured)` : ''));
+    }
+
+    const filters = loadEventFilters();
+    const personas = loadPersonas();
+    const scrubPolicy = args.synthetic || args.noScrub ? null : loadScrubPolicy();
+    const syntheticOptions = args.synthetic ? loadSyntheticOptions() : null;
+    if (filters.active && args.synthetic) {
+      throw new Error('Event filters select what to scrape; they cannot be combined with --synthetic');
+    }
+    if (args.auth && args.synthetic) {
+      throw new Error('--auth signs in to the source API; it cannot be combined with --synthetic');
+    }
+    if (filters.active && RESET) {
+      throw new Error('--reset empties whole tables, so it cannot be combined with event filters (use --upsert to refresh the selection)');
+    }
+    if (RESET && UPSERT) {
+      throw new Error('--reset empties the tables first, so there is nothing left for --upsert to update; pick one');
+    }
+
+    await preflight();
+    if (args.dryRun) dryRun = createDryRunReport();
+
+    // A replay walks the same lists the recording did and needs no login
+    const replaying = httpSnapshot && httpSnapshot.mode === 'replay';
+    authenticatedScrape = replaying ? !!httpSnapshot.meta.authenticated : !!args.auth;
+    if (authenticatedScrape && !replaying) await loginToSource();
+
+    const data = args.synthetic
+      ? generateSyntheticData(syntheticOptions)
+      : await scrapeAPI(filters);
+    if (httpSnapshot) {
+      httpSnapshot.flush();
+      console.log(`\n📼 Snapshot: ${httpSnapshot.hits} served from disk, ${httpSnapshot.recorded} newly recorded`);
+    }
+    const source = args.synthetic
+      ? `synthetic-seed-${args.seed ?? 1}`
+      : (httpSnapshot && httpSnapshot.mode === 'replay' ? httpSnapshot.meta.source : API_BASE);
+    if (!args.synthetic) writeAnomalyReport(repairScrapedData(data), source);
+    const idMap = args.remapIds ? await remapDataIds(data, source) : null;
+    if (scrubPolicy) scrubData(data, scrubPolicy);
+    if (MIRROR_IMAGES) await mirrorHeaderImages(data);
+    data.personas = personas;
     await seedDatabase(data);
+    if (idMap && !dryRun) {
+      saveIdMap(idMap);
+      console.log(`   ✓ ID map saved to ${idMap.file}`);
+    }
     await seedRedis(data);
+    if (dryRun) dryRun.print();
+    printCredentials(data);
   } catch (err) {
-    console.error(err);
+    if (err.usage) console.error(`❌ Seed failed: ${err.message}`);
+    else console.error(err);
     process.exit(1);
   }
 })();